@@ -0,0 +1,26 @@
+import * as core from "@actions/core";
+
+/**
+ * Adapter backed by @actions/core for running as a GitHub Action
+ */
+export const actionsAdapter = {
+  getInput: name => core.getInput(name),
+  setOutput: (name, value) => core.setOutput(name, value),
+  exportVariable: (name, value) => core.exportVariable(name, value),
+  // core.exportVariable already wrote each one to GITHUB_ENV
+  flushVariables: () => {},
+  setSecret: value => core.setSecret(value),
+  setFailed: message => core.setFailed(message),
+  info: message => core.info(message),
+  warning: message => core.warning(message),
+  error: message => core.error(message),
+  debug: message => core.debug(message),
+  writeSummary: async markdown => {
+    // The job summary file only exists on a runner
+    if (!process.env.GITHUB_STEP_SUMMARY) {
+      core.debug("GITHUB_STEP_SUMMARY is not set, skipping the job summary");
+      return;
+    }
+    await core.summary.addRaw(markdown, true).write();
+  }
+};
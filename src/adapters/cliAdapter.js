@@ -0,0 +1,70 @@
+import { writeFileContent } from "../utils/fileUtils.js";
+
+/**
+ * Creates an adapter for running the pipeline from the command line
+ * @param {Object} options - CLI options
+ * @param {Object} options.inputs - Input values keyed by action input name
+ * @param {string} options.envFile - File that exported variables are written to
+ * @param {boolean} options.verbose - Whether debug messages are printed
+ * @returns {Object} - Platform adapter
+ */
+export function createCliAdapter({ inputs, envFile, verbose }) {
+  const variables = new Map();
+  const secrets = new Set();
+  // Like the runner, replace every registered secret in printed text with ***
+  const mask = message => {
+    let masked = String(message);
+    for (const secret of secrets) {
+      masked = masked.split(secret).join('***');
+    }
+    return masked;
+  };
+  
+  return {
+    getInput: name => {
+      const value = inputs[name] ?? process.env[`FLAVORFLOW_${name.replace(/-/g, '_').toUpperCase()}`] ?? '';
+      return String(value).trim();
+    },
+    setOutput: (name, value) => {
+      console.log(mask(`[output] ${name}=${value}`));
+    },
+    exportVariable: (name, value) => {
+      // Collected so a re-exported variable keeps a single line and the file is written once
+      variables.set(name, String(value));
+    },
+    flushVariables: () => {
+      // The journaled write only plans it in dry-run, and rollback and revert remove it
+      if (variables.size > 0) {
+        const lines = Array.from(variables.entries()).map(([key, val]) => `${key}=${formatEnvValue(val)}`);
+        writeFileContent(envFile, lines.join('\n') + '\n');
+      }
+    },
+    setSecret: value => {
+      if (value) {
+        secrets.add(String(value));
+      }
+    },
+    setFailed: message => {
+      console.error(mask(`Error: ${message}`));
+      process.exitCode = 1;
+    },
+    info: message => console.log(mask(message)),
+    warning: message => console.error(mask(`Warning: ${message}`)),
+    error: message => console.error(mask(`Error: ${message}`)),
+    debug: message => {
+      if (verbose) {
+        console.log(mask(`[debug] ${message}`));
+      }
+    },
+    writeSummary: async markdown => {
+      console.log(mask(`\n${markdown}`));
+    }
+  };
+}
+
+function formatEnvValue(value) {
+  if (/^[\w@%+=:,./-]*$/.test(value)) {
+    return value;
+  }
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
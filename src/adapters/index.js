@@ -0,0 +1,69 @@
+/**
+ * Platform adapter used by the pipeline for inputs, outputs, logging and
+ * environment variables. It mirrors the subset of the @actions/core API the
+ * pipeline needs so the same code runs inside GitHub Actions and as a CLI.
+ */
+
+let adapter = null;
+
+/**
+ * Selects the adapter every pipeline module talks to
+ * @param {Object} platformAdapter - Adapter implementing the functions below
+ */
+export function setAdapter(platformAdapter) {
+  adapter = platformAdapter;
+}
+
+function current() {
+  if (!adapter) {
+    throw new Error('No platform adapter configured, call setAdapter() first');
+  }
+  return adapter;
+}
+
+export function getInput(name) {
+  return current().getInput(name);
+}
+
+export function setOutput(name, value) {
+  current().setOutput(name, value);
+}
+
+export function exportVariable(name, value) {
+  current().exportVariable(name, value);
+}
+
+/**
+ * Writes out the variables exported during the run, for adapters that collect them
+ */
+export function flushVariables() {
+  current().flushVariables();
+}
+
+export function setSecret(value) {
+  current().setSecret(value);
+}
+
+export function setFailed(message) {
+  current().setFailed(message);
+}
+
+export function info(message) {
+  current().info(message);
+}
+
+export function warning(message) {
+  current().warning(message);
+}
+
+export function error(message) {
+  current().error(message);
+}
+
+export function debug(message) {
+  current().debug(message);
+}
+
+export async function writeSummary(markdown) {
+  await current().writeSummary(markdown);
+}
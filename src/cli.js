@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+import * as fs from "fs";
+import { setAdapter } from './adapters/index.js';
+import { createCliAdapter } from './adapters/cliAdapter.js';
+import { run } from './main.js';
+
+/**
+ * Command line entrypoint: applies a flavor to the current directory outside GitHub Actions
+ */
+
+const USAGE = `Usage: flavorflow-apply (--flavor <file|json> | --flavor-file <file> | --flavor-id <id>) [options]
+
+Options:
+  --flavor <file|json>         Flavor JSON, or a path to a file containing it
+  --flavor-file <file>         Path to a JSON or YAML flavor file
+  --flavor-id <id>             Fetch the flavor from the FlavorFlow API
+  --project-api-key <key>      FlavorFlow project API key (or FLAVORFLOW_PROJECT_API_KEY)
+  --project-type <type>        android-native-compose, android-native-xml or auto
+  --assets-destination <dir>   Directory where assets are downloaded (default: ./assets)
+  --assets-source <dir>        Read assets and the logo from a local directory (offline)
+  --variable-prefix <prefix>   Prefix of the variables named after flavor variables and assets
+  --secret-variables <list>    Comma separated variable names or patterns to mask as secrets
+  --api-base-url <url>         FlavorFlow API base URL (default: https://api.flavorflow.io)
+  --proxy <url>                Proxy for every request (default: HTTPS_PROXY / HTTP_PROXY)
+  --ca-file <file>             PEM bundle of additional CA certificates to trust
+  --download-concurrency <n>   Maximum number of asset downloads in flight (default: 4)
+  --download-timeout <sec>     Seconds a request may wait for data (default: 30)
+  --download-retries <n>       Retries of a failed request (default: 3)
+  --max-asset-size <size>      Largest asset accepted, e.g. 50MB (default: 100MB)
+  --cache-dir <dir>            Directory caching downloaded assets between runs
+  --required-assets <list>     Comma separated assets (logo for the logo) that must be fetched
+  --integrity-mode <mode>      strict (default) or warn on asset integrity mismatches
+  --gradle-variables <mode>    off (default), build-config, res-values or both
+  --dry-run                    Print planned changes without touching any file
+  --mode <apply|revert>        Apply the flavor (default) or revert the last applied one
+  --steps <list>               Comma separated pipeline steps to run (default: all)
+  --skip-steps <list>          Comma separated pipeline steps to skip
+  --report-file <file>         Where to write the JSON apply report (default: temp directory)
+  --config-file <file>         Repository config file (default: .flavorflow.yml)
+  --output-env-file <file>     File exported variables are written to (default: .env)
+  --verbose                    Print debug messages
+  --help                       Show this help
+
+Any other action input can be passed as --<input-name> <value>, or through
+the FLAVORFLOW_<INPUT_NAME> environment variable.`;
+
+function parseArguments(argv) {
+  const options = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i];
+    if (!argument.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${argument}`);
+    }
+    
+    const [name, inlineValue] = argument.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = 'true';
+    }
+  }
+  
+  return options;
+}
+
+async function cli() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+  
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  const { 'output-env-file': envFile = '.env', verbose, ...inputs } = options;
+  
+  // Unlike the action input, --flavor also accepts a path to a JSON file
+  if (inputs.flavor && !inputs.flavor.trim().startsWith('{') && fs.existsSync(inputs.flavor)) {
+    inputs.flavor = fs.readFileSync(inputs.flavor, 'utf8');
+  }
+  
+  setAdapter(createCliAdapter({ inputs, envFile, verbose: verbose === 'true' }));
+  await run();
+}
+
+cli();
@@ -0,0 +1,523 @@
+import * as core from "./adapters/index.js";
+import * as fs from "fs";
+import * as path from "path";
+import {
+  setDryRun,
+  isDryRun,
+  getFileOperations,
+  getPlannedFiles,
+  rollbackChanges,
+  clearJournal,
+  resetBaseline,
+  findAndroidAppModule,
+  removeTempFiles
+} from './utils/fileUtils.js';
+import {
+  downloadAndSetAssets,
+  setFlavorVariables,
+  downloadAsset,
+  setAssetsSource,
+  setIntegrityMode,
+  getIntegrityFailures,
+  setRequiredAssets,
+  isAssetRequired,
+  getRequiredAssetFailures,
+  setAssetTargets,
+  setMaxAssetSize,
+  INTEGRITY_MODES,
+  DEFAULT_MAX_ASSET_SIZE
+} from './utils/assetUtils.js';
+import { createUnifiedDiff } from './utils/diffUtils.js';
+import { configureHttp, parseHeaders, DEFAULT_TIMEOUT_SECONDS, DEFAULT_RETRIES } from './utils/httpUtils.js';
+import { configureAssetCache, getCacheHits } from './utils/cacheUtils.js';
+import { exportVariable, setVariablePrefix, toEnvName, setSecretPatterns, registerSecret, maskSecrets } from './utils/envUtils.js';
+import { recordProject, getProject, buildReport, writeReport, getDefaultReportPath } from './utils/reportUtils.js';
+import { enforceFlavorSchema, VALIDATION_MODES, GRADLE_VARIABLE_MODES } from './utils/validationUtils.js';
+import { loadFlavor } from './utils/flavorUtils.js';
+import { loadRepoConfig, getRepoConfig, getRepoConfigFile, resolveSetting } from './utils/configUtils.js';
+import {
+  PIPELINE_STEPS,
+  configureSteps,
+  isStepEnabled,
+  getEnabledSteps,
+  parseStepList,
+  startStep,
+  completeStep,
+  skipStep,
+  failStep
+} from './utils/stepUtils.js';
+import { writeJobSummary } from './utils/summaryUtils.js';
+import { loadState, revertToBaseline, saveState, clearState } from './utils/stateUtils.js';
+import { AUTO_PROJECT_TYPE, detectProjectType, getProjectType, getProjectTypeNames } from './projectTypes/index.js';
+
+// apply: apply the flavor (reverting a previously applied one first); revert: only restore the baseline
+const MODES = ['apply', 'revert'];
+const DEFAULT_DOWNLOAD_CONCURRENCY = 4;
+const SIZE_UNITS = { '': 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+async function handleLogoDownload(flavor, apiKey) {
+  if (!flavor.logo_url || !flavor.id) {
+    core.info("No logo URL or flavor ID found, skipping logo download");
+    return null;
+  }
+
+  core.info("=== Logo Download ===");
+  try {
+    const logoOutputPath = path.join(getRepoConfig().logo_dir, flavor.name || flavor.id);
+    const logoPath = await downloadAsset(flavor.logo_url, apiKey, logoOutputPath, 'logo');
+    
+    core.info(`Logo saved to: ${logoPath}`);
+    return logoPath;
+  } catch (logoError) {
+    core.warning(`Logo download failed: ${logoError.message}`);
+    if (!isAssetRequired('logo', flavor.logo_url)) {
+      core.warning("Continuing without logo...");
+    }
+    return null;
+  }
+}
+
+function resolveProjectType(projectTypeName) {
+  if (!projectTypeName) {
+    return null;
+  }
+  
+  if (projectTypeName !== AUTO_PROJECT_TYPE) {
+    return getProjectType(projectTypeName);
+  }
+  
+  const { projectType, scores } = detectProjectType();
+  core.info(`Project type detection: ${scores.map(({ name, score }) => `${name}=${score}`).join(', ')}`);
+  if (!projectType) {
+    core.warning("project-type auto could not detect a supported project - only environment variables will be set");
+    return null;
+  }
+  core.info(`✓ Detected project type: ${projectType.name}`);
+  return projectType;
+}
+
+async function applyBranding(projectType, context, validationMode) {
+  try {
+    await projectType.apply(context);
+  } catch (error) {
+    throw new Error(`Failed to apply branding: ${error.message}`);
+  }
+  
+  const problems = await projectType.verify(context);
+  if (problems.length === 0) {
+    core.info(`✓ Verified ${projectType.name} changes`);
+    return;
+  }
+  
+  const details = problems.map(problem => `  ${problem}`).join('\n');
+  if (validationMode === 'strict') {
+    throw new Error(`Verification of ${projectType.name} changes failed:\n${details}`);
+  }
+  core.warning(`Verification of ${projectType.name} changes found problems (validation-mode: warn, continuing):\n${details}`);
+}
+
+async function setThemeEnvironmentVariables(flavor) {
+  const envPrefix = getRepoConfig().env_prefix;
+
+  // Expose theme colors as environment variables
+  if (flavor.theme) {
+    if (flavor.theme.light && typeof flavor.theme.light === 'object') {
+      for (const [key, value] of Object.entries(flavor.theme.light)) {
+        if (typeof value !== 'undefined' && toEnvName(key)) {
+          const envVar = `${envPrefix}THEME_LIGHT_${toEnvName(key)}`;
+          exportVariable(envVar, String(value), `theme color light.${key}`);
+        }
+      }
+    }
+    if (flavor.theme.dark && typeof flavor.theme.dark === 'object') {
+      for (const [key, value] of Object.entries(flavor.theme.dark)) {
+        if (typeof value !== 'undefined' && toEnvName(key)) {
+          const envVar = `${envPrefix}THEME_DARK_${toEnvName(key)}`;
+          exportVariable(envVar, String(value), `theme color dark.${key}`);
+        }
+      }
+    }
+  }
+}
+
+async function setFlavorEnvironmentVariables(flavor) {
+  const envPrefix = getRepoConfig().env_prefix;
+
+  // Set environment variables from flavor variables
+  if (flavor.variables) {
+    setFlavorVariables(flavor.variables);
+  }
+
+  // Expose <prefix>NAME, <prefix>APP_NAME, <prefix>PACKAGE_NAME (FLAVORFLOW_ by default)
+  if (flavor.name) {
+    exportVariable(`${envPrefix}NAME`, String(flavor.name));
+  }
+  if (flavor.app_name) {
+    exportVariable(`${envPrefix}APP_NAME`, String(flavor.app_name));
+  }
+  if (flavor.package_name) {
+    exportVariable(`${envPrefix}PACKAGE_NAME`, String(flavor.package_name));
+  }
+}
+
+async function logThemeInformation(flavor) {
+  // Log theme information if available
+  if (flavor.theme?.light) {
+    core.info("=== Theme Configuration ===");
+    const theme = flavor.theme.light;
+    if (theme.primary) core.info(`Primary Color: ${theme.primary}`);
+    if (theme.secondary) core.info(`Secondary Color: ${theme.secondary}`);
+    if (theme.background) core.info(`Background Color: ${theme.background}`);
+    if (theme.surface) core.info(`Surface Color: ${theme.surface}`);
+    if (theme.on_primary) core.info(`On Primary Color: ${theme.on_primary}`);
+    if (theme.on_secondary) core.info(`On Secondary Color: ${theme.on_secondary}`);
+    if (theme.on_background) core.info(`On Background Color: ${theme.on_background}`);
+    if (theme.on_surface) core.info(`On Surface Color: ${theme.on_surface}`);
+  }
+}
+
+function logDryRunPlan() {
+  const operations = getFileOperations();
+
+  core.info("=== Dry Run: File Operation Plan ===");
+  if (operations.length === 0) {
+    core.info("No file changes planned");
+    return;
+  }
+  for (const operation of operations) {
+    const source = operation.from ? `${operation.from} -> ` : '';
+    core.info(`${operation.type.padEnd(6)} ${source}${operation.path}`);
+  }
+
+  // Moved files are diffed against their original location
+  const moveSources = new Map(
+    operations.filter(operation => operation.type === 'move').map(operation => [operation.path, operation.from])
+  );
+  const movedAway = new Set(moveSources.values());
+
+  core.info("=== Dry Run: Unified Diff ===");
+  for (const { path: filePath, content } of getPlannedFiles()) {
+    const originalPath = moveSources.get(filePath) || filePath;
+    if ((content === null && movedAway.has(filePath)) || isExistingDirectory(filePath)) {
+      continue;
+    }
+
+    const original = fs.existsSync(originalPath) ? fs.readFileSync(originalPath) : null;
+    if ((content !== null && typeof content !== 'string') || (original && original.includes(0))) {
+      core.info(`Binary file ${filePath} ${content === null ? 'deleted' : original ? 'differs' : 'created'}`);
+      continue;
+    }
+
+    const diff = createUnifiedDiff(originalPath, filePath, original && original.toString('utf8'), content);
+    if (diff) {
+      core.info(diff);
+    }
+  }
+}
+
+function isExistingDirectory(filePath) {
+  return fs.existsSync(filePath) && fs.statSync(filePath).isDirectory();
+}
+
+/**
+ * Runs the full apply pipeline using the configured platform adapter
+ * @returns {Promise<void>}
+ */
+export async function run() {
+  const reportFile = core.getInput("report-file") || getDefaultReportPath();
+  let flavor = null;
+
+  try {
+    // Get inputs
+    const apiKey = core.getInput("project-api-key");
+    registerSecret(apiKey);
+    const flavorJson = core.getInput("flavor");
+    const flavorFile = core.getInput("flavor-file");
+    const flavorId = core.getInput("flavor-id");
+    const dryRun = core.getInput("dry-run") === "true";
+    const mode = core.getInput("mode") || "apply";
+
+    // Repository config fills in anything the inputs leave unset
+    loadRepoConfig(core.getInput("config-file"));
+    const assetsDestination = resolveSetting(core.getInput("assets-destination"), 'assets_destination') || "./assets";
+    const assetsSource = resolveSetting(core.getInput("assets-source"), 'assets_source');
+    const projectTypeName = resolveSetting(core.getInput("project-type"), 'project_type');
+    const validationMode = resolveSetting(core.getInput("validation-mode"), 'validation_mode') || "warn";
+    const integrityMode = core.getInput("integrity-mode") || "strict";
+    const gradleVariables = resolveSetting(core.getInput("gradle-variables"), 'gradle_variables') || "off";
+    configureSelectedSteps();
+
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Valid modes are: ${MODES.join(', ')}`);
+    }
+
+    // Offline mode reads every asset locally, so only fetching the flavor by ID needs the key
+    if (!apiKey && mode === 'apply' && !assetsSource) {
+      throw new Error("project-api-key input is required");
+    }
+    
+    // Validate project type if provided
+    const validProjectTypes = [...getProjectTypeNames(), AUTO_PROJECT_TYPE];
+    if (projectTypeName && !validProjectTypes.includes(projectTypeName)) {
+      throw new Error(`Invalid project-type: ${projectTypeName}. Valid types are: ${validProjectTypes.join(', ')}`);
+    }
+
+    if (!VALIDATION_MODES.includes(validationMode)) {
+      throw new Error(`Invalid validation-mode: ${validationMode}. Valid modes are: ${VALIDATION_MODES.join(', ')}`);
+    }
+
+    if (!INTEGRITY_MODES.includes(integrityMode)) {
+      throw new Error(`Invalid integrity-mode: ${integrityMode}. Valid modes are: ${INTEGRITY_MODES.join(', ')}`);
+    }
+
+    if (!GRADLE_VARIABLE_MODES.includes(gradleVariables)) {
+      throw new Error(`Invalid gradle-variables: ${gradleVariables}. Valid modes are: ${GRADLE_VARIABLE_MODES.join(', ')}`);
+    }
+
+    setDryRun(dryRun);
+
+    const previousState = loadState();
+    if (mode === 'revert') {
+      await revertAppliedFlavor(previousState, reportFile);
+      return;
+    }
+
+    setAssetsSource(assetsSource);
+    setVariablePrefix(resolveSetting(core.getInput("variable-prefix"), 'variable_prefix'));
+    setSecretPatterns(core.getInput("secret-variables").split(/[\s,]+/).filter(Boolean));
+    setIntegrityMode(integrityMode);
+    setMaxAssetSize(parseSizeInput("max-asset-size", DEFAULT_MAX_ASSET_SIZE));
+    setRequiredAssets(core.getInput("required-assets").split(/[\s,]+/).filter(Boolean));
+    configureHttp({
+      baseUrl: core.getInput("api-base-url"),
+      headers: parseHeaders(core.getInput("api-headers")),
+      proxy: core.getInput("proxy"),
+      caFile: core.getInput("ca-file"),
+      timeout: parseIntegerInput("download-timeout", DEFAULT_TIMEOUT_SECONDS, 1),
+      retries: parseIntegerInput("download-retries", DEFAULT_RETRIES, 0)
+    });
+    const downloadConcurrency = parseIntegerInput("download-concurrency", DEFAULT_DOWNLOAD_CONCURRENCY, 1);
+
+    // Load the flavor from the inline JSON, a file or the API
+    flavor = await loadFlavor({ flavorJson, flavorFile, flavorId }, apiKey);
+    configureAssetCache({ directory: core.getInput("cache-dir"), flavorId: flavor.id ?? flavor.name });
+
+    // A flavor applied earlier in this workspace is reverted first, so detection
+    // and every step see the original project instead of the previous flavor
+    if (previousState) {
+      revertToBaseline(previousState);
+      resetBaseline();
+    }
+
+    const projectType = resolveProjectType(projectTypeName);
+    recordProject({ type: projectType ? projectType.name : null });
+
+    enforceFlavorSchema(flavor, validationMode, projectType ? projectType.validate(flavor) : []);
+
+    core.info("=== Applying Branding Configuration ===");
+    core.info(`Flavor Name: ${flavor.name || flavor.id || 'Unknown'}`);
+    core.info(`Package Name: ${flavor.package_name || 'Not specified'}`);
+    core.info(`App Name: ${flavor.app_name || 'Not specified'}`);
+    core.info(`Project Type: ${projectType ? projectType.name : 'none - environment variables only'}`);
+    core.info(`Assets Destination: ${assetsDestination}`);
+    core.info(`Steps: ${getEnabledSteps().join(', ') || 'none'}`);
+    if (dryRun) {
+      core.info("Dry Run: enabled - no files will be written, moved or deleted");
+    }
+
+    // Set all environment variables
+    if (isStepEnabled('variables')) {
+      startStep('variables');
+      await setThemeEnvironmentVariables(flavor);
+      await setFlavorEnvironmentVariables(flavor);
+      completeStep('variables');
+    }
+
+    // Download assets and set environment variables
+    let downloadedAssets = {};
+    const assetCount = flavor.assets ? Object.keys(flavor.assets).length : 0;
+    if (assetCount === 0) {
+      skipStep('assets', 'flavor has no assets');
+    } else if (isStepEnabled('assets')) {
+      startStep('assets');
+      // Every registered project type is an Android one, so targeted assets go into its app module
+      setAssetTargets({ appModule: projectType ? findAndroidAppModule() : null, targets: getRepoConfig().asset_targets });
+      downloadedAssets = await downloadAndSetAssets(flavor.assets, apiKey, assetsDestination, downloadConcurrency);
+      const failedCount = assetCount - Object.keys(downloadedAssets).length;
+      if (failedCount > 0) {
+        failStep('assets', `${failedCount} of ${assetCount} assets failed to download`);
+      } else {
+        completeStep('assets');
+      }
+    }
+
+    // Log theme information
+    await logThemeInformation(flavor);
+
+    // Download logo if available, a project type is specified and icons are wanted
+    let logoPath = null;
+    if (projectType && (isStepEnabled('icons') || isStepEnabled('adaptive-icons'))) {
+      // The logo only exists for the icons, so its download is part of that step
+      startStep('icons');
+      logoPath = await handleLogoDownload(flavor, apiKey);
+      if (logoPath) {
+        core.setOutput("logo-path", logoPath);
+        if (isStepEnabled('variables')) {
+          exportVariable(`${getRepoConfig().env_prefix}LOGO`, logoPath);
+        }
+      }
+    }
+
+    // Optional assets only warn; any required asset (or required logo) missing fails the run
+    const requiredFailures = getRequiredAssetFailures(flavor);
+    if (requiredFailures.length > 0) {
+      const details = requiredFailures.map(failure => `  ${failure.name}: ${failure.error}`).join('\n');
+      throw new Error(`${requiredFailures.length} required asset${requiredFailures.length === 1 ? '' : 's'} could not be fetched:\n${details}`);
+    }
+
+    // Rejected assets were already skipped; in strict mode they also fail the run
+    const integrityFailures = getIntegrityFailures();
+    if (integrityFailures.length > 0) {
+      const details = integrityFailures.map(failure => `  ${failure.name}: ${failure.problems.join('; ')}`).join('\n');
+      throw new Error(`Asset integrity verification failed (integrity-mode: strict):\n${details}`);
+    }
+
+    // Apply all branding changes
+    if (projectType) {
+      await applyBranding(projectType, { flavor, logoPath, gradleVariables }, validationMode);
+    } else {
+      const reason = projectTypeName ? 'no supported project type was detected' : 'no project-type selected';
+      ['package', 'build-config', 'app-name', 'theme', 'icons', 'adaptive-icons'].forEach(step => skipStep(step, reason));
+    }
+    core.flushVariables();
+
+    if (isDryRun()) {
+      logDryRunPlan();
+    } else {
+      const statePath = saveState({ flavor, project: getProject() });
+      if (statePath) {
+        core.info(`💾 Applied flavor state saved to ${statePath}, the next run reverts it before applying`);
+      }
+    }
+    clearJournal();
+
+    // Skipped steps report nothing done
+    const variablesSet = isStepEnabled('variables') && flavor.variables ? Object.keys(flavor.variables).length : 0;
+
+    // Set outputs
+    core.setOutput("status", isDryRun() ? "dry-run" : "success");
+    core.setOutput("flavor-name", flavor.name || flavor.id || 'unknown');
+    core.setOutput("package-name", flavor.package_name || '');
+    core.setOutput("assets-downloaded", Object.keys(downloadedAssets).length.toString());
+    core.setOutput("cache-hit", getCacheHits().toString());
+    core.setOutput("variables-set", variablesSet.toString());
+    core.setOutput("project-type", projectType ? projectType.name : 'none');
+    writeApplyReport(reportFile, flavor, { status: isDryRun() ? "dry-run" : "success" });
+    await writeJobSummary(flavor, { status: isDryRun() ? "dry-run" : "success" });
+
+    core.info("✅ Branding configuration applied successfully");
+    if (Object.keys(downloadedAssets).length > 0) {
+      core.info(`📥 Downloaded ${Object.keys(downloadedAssets).length} assets`);
+    }
+    if (variablesSet > 0) {
+      core.info(`🔧 Set ${variablesSet} environment variables`);
+    }
+
+  } catch (error) {
+    const rolledBack = restoreOriginalFiles();
+    const message = maskSecrets(error.message);
+    writeApplyReport(reportFile, flavor, { status: "failed", error: message, rolledBack });
+    await writeJobSummary(flavor, { status: "failed", error: message });
+    core.setFailed(message);
+  } finally {
+    removeTempFiles();
+  }
+}
+
+function parseIntegerInput(name, defaultValue, minimum) {
+  const value = core.getInput(name);
+  if (!value) {
+    return defaultValue;
+  }
+  
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < minimum) {
+    throw new Error(`Invalid ${name}: ${value}. Expected a whole number of at least ${minimum}`);
+  }
+  return number;
+}
+
+function parseSizeInput(name, defaultValue) {
+  const value = core.getInput(name);
+  if (!value) {
+    return defaultValue;
+  }
+  
+  // Bytes, or a number with a KB, MB or GB suffix (powers of 1024)
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]b)?$/i.exec(value.trim());
+  const bytes = match ? Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || '').toLowerCase()]) : NaN;
+  if (!(bytes >= 1)) {
+    throw new Error(`Invalid ${name}: ${value}. Expected a size such as 52428800, 512KB, 50MB or 1GB`);
+  }
+  return bytes;
+}
+
+function configureSelectedSteps() {
+  // The steps and skip-steps inputs replace the lists from .flavorflow.yml
+  const stepsInput = parseStepList(core.getInput("steps"), 'steps');
+  const skipStepsInput = parseStepList(core.getInput("skip-steps"), 'skip-steps');
+  const configFile = getRepoConfigFile();
+
+  configureSteps({
+    steps: stepsInput.length > 0 ? stepsInput : getRepoConfig().steps,
+    skipSteps: skipStepsInput.length > 0 ? skipStepsInput : getRepoConfig().skip_steps,
+    stepsSource: stepsInput.length > 0 || !getRepoConfig().steps ? 'the steps input' : `steps in ${configFile}`,
+    skipStepsSource: skipStepsInput.length > 0 || getRepoConfig().skip_steps.length === 0 ? 'the skip-steps input' : `skip_steps in ${configFile}`
+  });
+}
+
+async function revertAppliedFlavor(previousState, reportFile) {
+  PIPELINE_STEPS.forEach(step => skipStep(step, 'mode is revert'));
+  const status = isDryRun() ? "dry-run" : "reverted";
+
+  if (!previousState) {
+    core.info("No applied flavor found (.flavorflow/state.json), nothing to revert");
+  } else {
+    const reverted = revertToBaseline(previousState);
+    if (isDryRun()) {
+      logDryRunPlan();
+    } else {
+      clearState();
+    }
+    core.info(`✅ Reverted ${reverted} files to the baseline`);
+  }
+  clearJournal();
+
+  core.setOutput("status", status);
+  core.setOutput("flavor-name", previousState?.flavor?.name || previousState?.flavor?.id || '');
+  writeApplyReport(reportFile, previousState?.flavor ?? null, { status });
+  await writeJobSummary(previousState?.flavor ?? null, { status });
+}
+
+function restoreOriginalFiles() {
+  try {
+    const restored = rollbackChanges();
+    if (restored > 0) {
+      core.info(`↩️ Rolled back ${restored} file system changes, the checkout is unchanged`);
+    }
+    return true;
+  } catch (rollbackError) {
+    core.error(rollbackError.message);
+    return false;
+  }
+}
+
+function writeApplyReport(reportFile, flavor, result) {
+  try {
+    const reportPath = writeReport(reportFile, buildReport(flavor, result));
+    core.setOutput("report-path", reportPath);
+    core.info(`📝 Apply report written to: ${reportPath}`);
+  } catch (reportError) {
+    core.warning(`Failed to write apply report: ${reportError.message}`);
+  }
+}
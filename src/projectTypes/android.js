@@ -0,0 +1,196 @@
+import * as core from "../adapters/index.js";
+import * as path from "path";
+import { findAndroidAppModule, pathExists, readFileContent } from '../utils/fileUtils.js';
+import { detectExistingPackage, updatePackageReferences } from '../utils/packageUtils.js';
+import { readAppName, updateAppName, updateApplicationId } from '../utils/androidUtils.js';
+import { findAppBuildFile, updateGradleVariables, hasGradleVariables } from '../utils/gradleUtils.js';
+import { generateAppIcons, generateAdaptiveIcons } from '../utils/iconUtils.js';
+import { isSvgFile } from '../utils/vectorDrawableUtils.js';
+import { recordProject } from '../utils/reportUtils.js';
+import { getResourcesDir, getManifestPath } from '../utils/configUtils.js';
+import { isStepEnabled, startStep, completeStep, skipStep, failStep } from '../utils/stepUtils.js';
+
+/**
+ * Steps shared by every Android project type: package, application ID, app
+ * name and launcher icons. Theming is supplied by the specific project type.
+ */
+
+/**
+ * Checks whether the repository contains an Android application module
+ * @returns {boolean}
+ */
+export function hasAndroidApplication() {
+  const appModule = findAndroidAppModule();
+  return findAppBuildFile(appModule) !== null && pathExists(getManifestPath(appModule));
+}
+
+/**
+ * Applies the shared Android branding steps around a project-type specific theming step
+ * @param {Object} context - Apply context ({ flavor, logoPath, gradleVariables })
+ * @param {Function} applyTheme - Called with (appModule, flavor) when the flavor has a theme
+ */
+export async function applyAndroidBranding(context, applyTheme) {
+  const { flavor, logoPath } = context;
+  
+  // Find Android app module
+  const appModule = findAndroidAppModule();
+  context.appModule = appModule;
+  
+  // Detect existing package name
+  const existingPackage = detectExistingPackage(appModule);
+  const newPackage = flavor.package_name;
+  recordProject({
+    appModule,
+    oldPackage: existingPackage,
+    newPackage: newPackage || existingPackage,
+    oldAppName: readAppName(appModule)
+  });
+  
+  if (!newPackage) {
+    skipStep('package', 'flavor has no package_name');
+  } else if (isStepEnabled('package')) {
+    startStep('package');
+    if (existingPackage && existingPackage !== newPackage) {
+      core.info(`📦 Updating package name from ${existingPackage} to ${newPackage}`);
+      updatePackageReferences(appModule, existingPackage, newPackage);
+    }
+    
+    // Update application ID in build.gradle
+    updateApplicationId(appModule, newPackage);
+    completeStep('package');
+  }
+  
+  // Write flavor variables into defaultConfig
+  const gradleVariables = context.gradleVariables || 'off';
+  if (gradleVariables === 'off') {
+    skipStep('build-config', 'gradle-variables is off');
+  } else if (!flavor.variables || Object.keys(flavor.variables).length === 0) {
+    skipStep('build-config', 'flavor has no variables');
+  } else if (isStepEnabled('build-config')) {
+    startStep('build-config');
+    try {
+      context.gradleVariableCount = updateGradleVariables(appModule, flavor.variables, gradleVariables);
+      completeStep('build-config');
+    } catch (error) {
+      core.warning(`Failed to write flavor variables to the Gradle build file: ${error.message}`);
+      failStep('build-config', error.message);
+    }
+  }
+  
+  // Update app name
+  if (!flavor.app_name) {
+    skipStep('app-name', 'flavor has no app_name');
+  } else if (isStepEnabled('app-name')) {
+    startStep('app-name');
+    updateAppName(appModule, flavor);
+    completeStep('app-name');
+  }
+  
+  // Update colors and theme
+  if (!flavor.theme) {
+    skipStep('theme', 'flavor has no theme');
+  } else if (isStepEnabled('theme')) {
+    startStep('theme');
+    await applyTheme(appModule, flavor);
+    completeStep('theme');
+  }
+  
+  // Generate app icons from logo
+  if (!logoPath) {
+    skipStep('icons', 'no logo was downloaded');
+    skipStep('adaptive-icons', 'no logo was downloaded');
+    return;
+  }
+  
+  let iconSuccess = true;
+  if (isStepEnabled('icons')) {
+    startStep('icons');
+    iconSuccess = await generateAppIcons(logoPath, appModule);
+    if (iconSuccess) {
+      core.info("🎨 App icons generated successfully");
+      completeStep('icons');
+    } else {
+      failStep('icons', 'icon generation failed, see the log for details');
+    }
+  }
+  
+  // Also generate adaptive icons for modern Android; a vector foreground from an
+  // SVG logo does not depend on the launcher icons being rasterised
+  if (!iconSuccess && !isSvgFile(logoPath)) {
+    skipStep('adaptive-icons', 'app icon generation failed');
+  } else if (isStepEnabled('adaptive-icons')) {
+    startStep('adaptive-icons');
+    const backgroundColor = flavor.theme?.light?.background || '#FFFFFF';
+    if (await generateAdaptiveIcons(logoPath, appModule, backgroundColor)) {
+      completeStep('adaptive-icons');
+    } else {
+      failStep('adaptive-icons', 'adaptive icon generation failed, see the log for details');
+    }
+  }
+}
+
+/**
+ * Reports theme palette keys a project type does not apply (usually typos)
+ * @param {Object} flavor - Flavor configuration
+ * @param {string[]} supportedColors - Palette keys the project type uses
+ * @param {string} projectType - Project type name used in messages
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function findUnsupportedThemeColors(flavor, supportedColors, projectType) {
+  const problems = [];
+  
+  for (const mode of ['light', 'dark']) {
+    const palette = flavor?.theme?.[mode];
+    if (!palette || typeof palette !== 'object') {
+      continue;
+    }
+    
+    for (const colorName of Object.keys(palette)) {
+      if (!supportedColors.includes(colorName)) {
+        problems.push({
+          path: `$.theme.${mode}.${colorName}`,
+          message: `colour "${colorName}" is not used by ${projectType} (supported: ${supportedColors.join(', ')})`
+        });
+      }
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Verifies the shared Android branding steps took effect
+ * @param {Object} context - Apply context after apply() ran
+ * @returns {string[]} - Problems found
+ */
+export function verifyAndroidBranding(context) {
+  const { flavor, appModule } = context;
+  const problems = [];
+  
+  if (flavor.package_name && isStepEnabled('package')) {
+    const buildContent = readAppBuildFile(appModule);
+    const appIdMatch = buildContent?.match(/applicationId\s*=?\s*["']([^"']+)["']/);
+    if (appIdMatch && appIdMatch[1] !== flavor.package_name) {
+      problems.push(`applicationId is ${appIdMatch[1]}, expected ${flavor.package_name}`);
+    }
+  }
+  
+  if (context.gradleVariableCount > 0 && !hasGradleVariables(appModule)) {
+    problems.push('the generated flavor variables block is missing from defaultConfig');
+  }
+  
+  if (flavor.app_name && isStepEnabled('app-name')) {
+    const stringsPath = path.join(getResourcesDir(appModule), 'values/strings.xml');
+    const content = pathExists(stringsPath) ? readFileContent(stringsPath) : '';
+    if (!/<string\s+name="app_name"/.test(content)) {
+      problems.push(`app_name string is missing from ${stringsPath}`);
+    }
+  }
+  
+  return problems;
+}
+
+function readAppBuildFile(appModule) {
+  const buildPath = findAppBuildFile(appModule);
+  return buildPath ? readFileContent(buildPath) : null;
+}
@@ -0,0 +1,58 @@
+import * as core from "../adapters/index.js";
+import * as path from "path";
+import { findAndroidAppModule, listFilesRecursive, readFileContent } from '../utils/fileUtils.js';
+import { updateComposeTheme, usesComposeTheming, hexToComposeColor } from '../utils/composeUtils.js';
+import { getRepoConfig } from '../utils/configUtils.js';
+import { isStepEnabled } from '../utils/stepUtils.js';
+import { hasAndroidApplication, applyAndroidBranding, findUnsupportedThemeColors, verifyAndroidBranding } from './android.js';
+
+const SUPPORTED_COLORS = [
+  'primary', 'secondary', 'tertiary', 'background', 'surface',
+  'on_primary', 'on_secondary', 'on_tertiary', 'on_background', 'on_surface'
+];
+
+/**
+ * Android app themed with Jetpack Compose (Color.kt / Theme.kt)
+ */
+export const androidNativeCompose = {
+  name: 'android-native-compose',
+  description: 'Android app with Jetpack Compose theming',
+  
+  detect() {
+    if (!hasAndroidApplication()) {
+      return 0;
+    }
+    return usesComposeTheming(findAndroidAppModule()) ? 1 : 0;
+  },
+  
+  validate(flavor) {
+    return findUnsupportedThemeColors(flavor, SUPPORTED_COLORS, this.name);
+  },
+  
+  async apply(context) {
+    await applyAndroidBranding(context, (appModule, flavor) => {
+      core.info("Using project type: android-native-compose - updating Compose theme files only");
+      updateComposeTheme(appModule, flavor);
+    });
+  },
+  
+  verify(context) {
+    const problems = verifyAndroidBranding(context);
+    const primary = context.flavor.theme?.light?.primary;
+    
+    if (primary && isStepEnabled('theme')) {
+      const expected = hexToComposeColor(primary);
+      const hasColor = getRepoConfig().source_dirs.some(sourceDir => {
+        const sourcePath = path.join(context.appModule, sourceDir);
+        return listFilesRecursive(sourcePath)
+          .filter(file => file.endsWith('.kt'))
+          .some(file => readFileContent(path.join(sourcePath, file)).includes(expected));
+      });
+      if (!hasColor) {
+        problems.push(`no Compose source file defines the primary colour ${expected}`);
+      }
+    }
+    
+    return problems;
+  }
+};
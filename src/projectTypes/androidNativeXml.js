@@ -0,0 +1,59 @@
+import * as core from "../adapters/index.js";
+import * as path from "path";
+import { findAndroidAppModule, pathExists, readFileContent } from '../utils/fileUtils.js';
+import { updateXmlColors, createThemeXml, generateThemeName } from '../utils/androidUtils.js';
+import { recordProject } from '../utils/reportUtils.js';
+import { usesComposeTheming } from '../utils/composeUtils.js';
+import { getResourcesDir } from '../utils/configUtils.js';
+import { isStepEnabled } from '../utils/stepUtils.js';
+import { hasAndroidApplication, applyAndroidBranding, findUnsupportedThemeColors, verifyAndroidBranding } from './android.js';
+
+// colors.xml is generated from the light palette only
+const SUPPORTED_COLORS = [
+  'primary', 'secondary', 'background', 'surface',
+  'on_primary', 'on_secondary', 'on_background', 'on_surface'
+];
+
+/**
+ * Android app themed with XML resources (colors.xml / themes.xml)
+ */
+export const androidNativeXml = {
+  name: 'android-native-xml',
+  description: 'Android app with XML resource theming',
+  
+  detect() {
+    if (!hasAndroidApplication()) {
+      return 0;
+    }
+    // Any Android app can take XML theming, so prefer more specific types
+    return usesComposeTheming(findAndroidAppModule()) ? 0 : 0.5;
+  },
+  
+  validate(flavor) {
+    return findUnsupportedThemeColors(flavor, SUPPORTED_COLORS, this.name);
+  },
+  
+  async apply(context) {
+    await applyAndroidBranding(context, (appModule, flavor) => {
+      core.info("Using project type: android-native-xml - updating XML theme files only");
+      updateXmlColors(appModule, flavor);
+      createThemeXml(appModule, flavor);
+      recordProject({ themeName: generateThemeName(flavor) });
+    });
+  },
+  
+  verify(context) {
+    const problems = verifyAndroidBranding(context);
+    const primary = context.flavor.theme?.light?.primary;
+    
+    if (primary && isStepEnabled('theme')) {
+      const colorsPath = path.join(getResourcesDir(context.appModule), 'values/colors.xml');
+      const content = pathExists(colorsPath) ? readFileContent(colorsPath) : '';
+      if (!content.includes(`<color name="primary_color">${primary}</color>`)) {
+        problems.push(`${colorsPath} does not define primary_color as ${primary}`);
+      }
+    }
+    
+    return problems;
+  }
+};
@@ -0,0 +1,86 @@
+import { androidNativeCompose } from './androidNativeCompose.js';
+import { androidNativeXml } from './androidNativeXml.js';
+
+/**
+ * Project type registry. A project type is an object with:
+ *   name        - value accepted by the project-type input
+ *   description - short human readable description
+ *   detect()    - score from 0 (not this type) to 1 (certainly this type) for the checkout
+ *   validate(flavor) - extra flavor problems as [{ path, message }]
+ *   apply(context)   - applies the flavor; context holds { flavor, logoPath }
+ *   verify(context)  - checks the result after apply, returning problem strings
+ */
+
+export const AUTO_PROJECT_TYPE = 'auto';
+
+const HOOKS = ['detect', 'validate', 'apply', 'verify'];
+const projectTypes = new Map();
+
+/**
+ * Registers a project type
+ * @param {Object} definition - Project type definition
+ */
+export function registerProjectType(definition) {
+  if (!definition || typeof definition.name !== 'string' || definition.name === '') {
+    throw new Error("Project type must have a name");
+  }
+  if (definition.name === AUTO_PROJECT_TYPE) {
+    throw new Error(`Project type name "${AUTO_PROJECT_TYPE}" is reserved`);
+  }
+  if (projectTypes.has(definition.name)) {
+    throw new Error(`Project type ${definition.name} is already registered`);
+  }
+  
+  const missingHooks = HOOKS.filter(hook => typeof definition[hook] !== 'function');
+  if (missingHooks.length > 0) {
+    throw new Error(`Project type ${definition.name} is missing hooks: ${missingHooks.join(', ')}`);
+  }
+  
+  projectTypes.set(definition.name, definition);
+}
+
+/**
+ * Looks up a registered project type
+ * @param {string} name - Project type name
+ * @returns {Object|null}
+ */
+export function getProjectType(name) {
+  return projectTypes.get(name) || null;
+}
+
+/**
+ * Names of every registered project type, in registration order
+ * @returns {string[]}
+ */
+export function getProjectTypeNames() {
+  return Array.from(projectTypes.keys());
+}
+
+/**
+ * Runs every detector against the checkout and picks the best match.
+ * Ties go to the type registered first.
+ * @returns {{ projectType: Object|null, scores: Array<{name: string, score: number}> }}
+ */
+export function detectProjectType() {
+  const scores = [];
+  let best = null;
+  
+  for (const definition of projectTypes.values()) {
+    let score;
+    try {
+      score = Number(definition.detect()) || 0;
+    } catch (error) {
+      throw new Error(`Failed to detect project type ${definition.name}: ${error.message}`);
+    }
+    
+    scores.push({ name: definition.name, score });
+    if (score > 0 && (!best || score > best.score)) {
+      best = { definition, score };
+    }
+  }
+  
+  return { projectType: best ? best.definition : null, scores };
+}
+
+registerProjectType(androidNativeCompose);
+registerProjectType(androidNativeXml);
@@ -1,12 +1,28 @@
-import * as core from '@actions/core';
-import * as fs from 'fs';
-import { readFileContent, writeFileContent, ensureDirectoryExists } from './fileUtils.js';
+import * as core from '../adapters/index.js';
+import { readFileContent, writeFileContent, ensureDirectoryExists, pathExists } from './fileUtils.js';
+import { getResourcesDir, getManifestPath } from './configUtils.js';
+import { findAppBuildFile } from './gradleUtils.js';
 import * as path from 'path';
 
 /**
  * Android resource management utilities
  */
 
+/**
+ * Reads the current app_name string resource
+ * @param {string} appModule - Path to the Android app module
+ * @returns {string|null} - The raw resource value, or null when it is not defined
+ */
+export function readAppName(appModule) {
+  const stringsPath = path.join(getResourcesDir(appModule), 'values/strings.xml');
+  if (!pathExists(stringsPath)) {
+    return null;
+  }
+  
+  const match = readFileContent(stringsPath).match(/<string\s+name="app_name"[^>]*>(.*?)<\/string>/);
+  return match ? match[1] : null;
+}
+
 export function updateAppName(appModule, config) {
   const appName = config.app_name;
   if (!appName) {
@@ -14,12 +30,12 @@ export function updateAppName(appModule, config) {
     return;
   }
   
-  const stringsPath = path.join(appModule, 'src/main/res/values/strings.xml');
+  const stringsPath = path.join(getResourcesDir(appModule), 'values/strings.xml');
   
   try {
     let content;
     
-    if (fs.existsSync(stringsPath)) {
+    if (pathExists(stringsPath)) {
       content = readFileContent(stringsPath);
     } else {
       // Create new strings.xml
@@ -58,7 +74,7 @@ export function updateXmlColors(appModule, config) {
     return;
   }
   
-  const colorsPath = path.join(appModule, 'src/main/res/values/colors.xml');
+  const colorsPath = path.join(getResourcesDir(appModule), 'values/colors.xml');
   
   const primaryColor = theme.primary || '#6650a4';
   const secondaryColor = theme.secondary || '#625b71';
@@ -100,7 +116,7 @@ export function updateXmlColors(appModule, config) {
 
 export function createThemeXml(appModule, config) {
   const themeName = generateThemeName(config);
-  const themesPath = path.join(appModule, 'src/main/res/values/themes.xml');
+  const themesPath = path.join(getResourcesDir(appModule), 'values/themes.xml');
   
   // Detect existing theme parent
   const parentTheme = detectExistingThemeParent(appModule) || 'Theme.Material3.DayNight';
@@ -143,17 +159,22 @@ export function createThemeXml(appModule, config) {
   }
 }
 
-function generateThemeName(config) {
+/**
+ * Name of the XML theme created for a flavor
+ * @param {Object} config - Flavor configuration
+ * @returns {string}
+ */
+export function generateThemeName(config) {
   const appName = config.app_name || config.name || 'App';
   const cleanName = appName.replace(/\s+/g, '').replace(/[^a-zA-Z0-9]/g, '');
   return `Theme.${cleanName}`;
 }
 
 function detectExistingThemeParent(appModule) {
-  const themesPath = path.join(appModule, 'src/main/res/values/themes.xml');
+  const themesPath = path.join(getResourcesDir(appModule), 'values/themes.xml');
   
   try {
-    if (fs.existsSync(themesPath)) {
+    if (pathExists(themesPath)) {
       const content = readFileContent(themesPath);
       
       // Look for existing parent themes
@@ -170,10 +191,10 @@ function detectExistingThemeParent(appModule) {
 }
 
 function updateManifestTheme(appModule, themeName) {
-  const manifestPath = path.join(appModule, 'src/main/AndroidManifest.xml');
+  const manifestPath = getManifestPath(appModule);
   
   try {
-    if (fs.existsSync(manifestPath)) {
+    if (pathExists(manifestPath)) {
       const content = readFileContent(manifestPath);
       
       // Update application theme
@@ -198,69 +219,38 @@ export function updateApplicationId(appModule, packageName) {
     return;
   }
   
-  // First, we need to find the current package name to replace
-  let currentPackageName = null;
-  
-  const buildFiles = ['build.gradle', 'build.gradle.kts'];
-  
-  // Find current package name from build files
-  for (const buildFile of buildFiles) {
-    const buildPath = path.join(appModule, buildFile);
-    
-    try {
-      if (fs.existsSync(buildPath)) {
-        const content = readFileContent(buildPath);
-        
-        // Look for current applicationId
-        const appIdMatch = content.match(/applicationId\s*=?\s*["']([^"']+)["']/);
-        if (appIdMatch) {
-          currentPackageName = appIdMatch[1];
-          break;
-        }
-        
-        // Look for current namespace
-        const namespaceMatch = content.match(/namespace\s*=\s*["']([^"']+)["']/);
-        if (namespaceMatch) {
-          currentPackageName = namespaceMatch[1];
-          break;
-        }
-      }
-    } catch (error) {
-      continue;
-    }
-  }
-  
-  if (!currentPackageName) {
+  const buildPath = findAppBuildFile(appModule);
+  if (!buildPath) {
     core.warning('Could not find current package name in build files');
     return;
   }
   
-  if (currentPackageName === packageName) {
-    core.info(`Package name already set to: ${packageName}`);
-    return;
-  }
-  
-  // Now replace all occurrences of the old package name with the new one
-  for (const buildFile of buildFiles) {
-    const buildPath = path.join(appModule, buildFile);
+  try {
+    const content = readFileContent(buildPath);
     
-    try {
-      if (fs.existsSync(buildPath)) {
-        let content = readFileContent(buildPath);
-        const originalContent = content;
-        
-        // Replace all occurrences of the old package name with the new one
-        content = content.replace(new RegExp(escapeRegex(currentPackageName), 'g'), packageName);
-        
-        if (content !== originalContent) {
-          writeFileContent(buildPath, content);
-          core.info(`✓ Updated package name from ${currentPackageName} to ${packageName} in ${buildFile}`);
-          return; // Only update one build file
-        }
-      }
-    } catch (error) {
-      core.warning(`Failed to update ${buildPath}: ${error.message}`);
+    // The current package name is the applicationId, or else the namespace
+    const appIdMatch = content.match(/applicationId\s*=?\s*["']([^"']+)["']/);
+    const namespaceMatch = content.match(/namespace\s*=\s*["']([^"']+)["']/);
+    const currentPackageName = appIdMatch?.[1] || namespaceMatch?.[1];
+    
+    if (!currentPackageName) {
+      core.warning('Could not find current package name in build files');
+      return;
+    }
+    
+    if (currentPackageName === packageName) {
+      core.info(`Package name already set to: ${packageName}`);
+      return;
     }
+    
+    // Replace all occurrences of the old package name with the new one
+    const updatedContent = content.replace(new RegExp(escapeRegex(currentPackageName), 'g'), packageName);
+    if (updatedContent !== content) {
+      writeFileContent(buildPath, updatedContent);
+      core.info(`✓ Updated package name from ${currentPackageName} to ${packageName} in ${path.basename(buildPath)}`);
+    }
+  } catch (error) {
+    core.warning(`Failed to update ${buildPath}: ${error.message}`);
   }
 }
 
@@ -0,0 +1,232 @@
+import * as fs from "fs";
+import * as path from "path";
+import * as zlib from "zlib";
+import { writeFileBuffer, ensureDirectoryExists } from "./fileUtils.js";
+
+/**
+ * ZIP archive utilities: lists and safely extracts archive assets. Every entry
+ * is checked before anything is written, so a rejected archive leaves no files.
+ */
+
+export const MAX_ARCHIVE_ENTRIES = 10000;
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+// The end of central directory record is 22 bytes plus a comment of up to 64 KB
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+// Entries made on Unix keep their file mode in the upper half of the external attributes
+const MADE_BY_UNIX = 3;
+const FILE_TYPE_MASK = 0o170000;
+const FILE_TYPE_SYMLINK = 0o120000;
+
+// Metadata added by macOS Finder, not part of the content
+const IGNORED_ENTRY_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$)/;
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Lists the entries of a ZIP archive from its central directory
+ * @param {string} archivePath - ZIP file on disk
+ * @returns {Array<{name: string, method: number, flags: number, crc32: number, compressedSize: number, size: number, offset: number, directory: boolean, symlink: boolean}>}
+ */
+export function readZipEntries(archivePath) {
+  const descriptor = fs.openSync(archivePath, 'r');
+  try {
+    const fileSize = fs.fstatSync(descriptor).size;
+    const tail = readBytes(descriptor, Math.max(0, fileSize - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_SIZE), fileSize);
+    
+    let end = -1;
+    for (let offset = tail.length - END_OF_CENTRAL_DIRECTORY_SIZE; offset >= 0; offset--) {
+      if (tail.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+        end = offset;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error('not a ZIP archive (no end of central directory record)');
+    }
+    
+    const entryCount = tail.readUInt16LE(end + 10);
+    const directorySize = tail.readUInt32LE(end + 12);
+    const directoryOffset = tail.readUInt32LE(end + 16);
+    if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    if (directoryOffset + directorySize > fileSize) {
+      throw new Error('truncated ZIP archive (central directory beyond the end of the file)');
+    }
+    
+    const directory = readBytes(descriptor, directoryOffset, directoryOffset + directorySize);
+    const entries = [];
+    let position = 0;
+    for (let index = 0; index < entryCount; index++) {
+      if (position + 46 > directory.length || directory.readUInt32LE(position) !== CENTRAL_DIRECTORY_SIGNATURE) {
+        throw new Error('corrupt ZIP central directory');
+      }
+      const flags = directory.readUInt16LE(position + 8);
+      const nameLength = directory.readUInt16LE(position + 28);
+      const extraLength = directory.readUInt16LE(position + 30);
+      const commentLength = directory.readUInt16LE(position + 32);
+      const name = directory.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+      const mode = directory.readUInt8(position + 5) === MADE_BY_UNIX ? directory.readUInt32LE(position + 38) >>> 16 : 0;
+      
+      entries.push({
+        name,
+        method: directory.readUInt16LE(position + 10),
+        flags,
+        crc32: directory.readUInt32LE(position + 16),
+        compressedSize: directory.readUInt32LE(position + 20),
+        size: directory.readUInt32LE(position + 24),
+        offset: directory.readUInt32LE(position + 42),
+        directory: name.endsWith('/') || name.endsWith('\\'),
+        symlink: (mode & FILE_TYPE_MASK) === FILE_TYPE_SYMLINK
+      });
+      position += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  } finally {
+    fs.closeSync(descriptor);
+  }
+}
+
+/**
+ * Extracts a ZIP archive into a directory through the journaled file
+ * utilities, so the files show up in dry-run plans and are undone on revert.
+ * The archive is rejected as a whole when an entry would land outside the
+ * directory (zip-slip), is a symlink, is encrypted, uses an unsupported
+ * compression method, or when the entries exceed the limits.
+ * @param {string} archivePath - ZIP file on disk
+ * @param {string} destinationDir - Directory the entries are extracted into
+ * @param {Object} [limits] - Extraction limits
+ * @param {number} [limits.maxSize] - Largest total uncompressed size, in bytes
+ * @param {number} [limits.maxEntries] - Largest number of entries
+ * @returns {Array<{name: string, path: string, size: number}>} - Extracted files, in archive order
+ */
+export function extractZip(archivePath, destinationDir, { maxSize = Infinity, maxEntries = MAX_ARCHIVE_ENTRIES } = {}) {
+  const entries = readZipEntries(archivePath).filter(entry => !IGNORED_ENTRY_PATTERN.test(entry.name.replace(/\\/g, '/')));
+  if (entries.length > maxEntries) {
+    throw new Error(`archive has ${entries.length} entries, more than the maximum of ${maxEntries}`);
+  }
+  
+  const claimed = new Map();
+  let totalSize = 0;
+  for (const entry of entries) {
+    entry.relativePath = getSafeEntryPath(entry.name);
+    if (entry.symlink) {
+      throw new Error(`archive entry ${entry.name} is a symbolic link`);
+    }
+    if (entry.directory) {
+      continue;
+    }
+    if (entry.flags & FLAG_ENCRYPTED) {
+      throw new Error(`archive entry ${entry.name} is encrypted`);
+    }
+    if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+      throw new Error(`archive entry ${entry.name} uses unsupported compression method ${entry.method}`);
+    }
+    // Entries differing only in case would overwrite each other on macOS and Windows
+    const key = entry.relativePath.toLowerCase();
+    if (claimed.has(key)) {
+      throw new Error(`archive entries ${claimed.get(key)} and ${entry.name} extract to the same file`);
+    }
+    claimed.set(key, entry.name);
+    
+    totalSize += entry.size;
+    if (totalSize > maxSize) {
+      throw new Error(`archive contents exceed the maximum size of ${maxSize} bytes`);
+    }
+  }
+  
+  // Everything is inflated and checked first, so a corrupt entry writes nothing
+  const descriptor = fs.openSync(archivePath, 'r');
+  let contents;
+  try {
+    contents = entries.map(entry => entry.directory ? null : readEntryContent(descriptor, entry));
+  } finally {
+    fs.closeSync(descriptor);
+  }
+  
+  const extracted = [];
+  ensureDirectoryExists(destinationDir);
+  entries.forEach((entry, index) => {
+    const targetPath = path.join(destinationDir, ...entry.relativePath.split('/'));
+    if (entry.directory) {
+      ensureDirectoryExists(targetPath);
+      return;
+    }
+    writeFileBuffer(targetPath, contents[index]);
+    extracted.push({ name: entry.relativePath, path: targetPath, size: contents[index].length });
+  });
+  return extracted;
+}
+
+/**
+ * Normalises an entry name to a relative path with forward slashes, refusing
+ * names that would resolve outside the extraction directory
+ * @param {string} name - Entry name from the archive
+ * @returns {string}
+ */
+function getSafeEntryPath(name) {
+  const normalized = name.replace(/\\/g, '/');
+  const segments = normalized.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (normalized.startsWith('/') || /^[A-Za-z]:/.test(normalized) || segments.includes('..') || segments.length === 0) {
+    throw new Error(`archive entry ${JSON.stringify(name)} would be extracted outside its folder`);
+  }
+  if (segments.some(segment => segment.includes('\0'))) {
+    throw new Error(`archive entry ${JSON.stringify(name)} has an invalid name`);
+  }
+  return segments.join('/');
+}
+
+function readEntryContent(descriptor, entry) {
+  const header = readBytes(descriptor, entry.offset, entry.offset + 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`corrupt ZIP local header for ${entry.name}`);
+  }
+  const dataOffset = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const compressed = readBytes(descriptor, dataOffset, dataOffset + entry.compressedSize);
+  if (compressed.length !== entry.compressedSize) {
+    throw new Error(`truncated ZIP entry ${entry.name}`);
+  }
+  
+  let content;
+  try {
+    // The declared size caps the output, so a lying entry cannot inflate beyond the checked total
+    content = entry.method === METHOD_STORED
+      ? compressed
+      : zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(entry.size, 1) });
+  } catch (error) {
+    throw new Error(`failed to inflate ${entry.name}: ${error.message}`);
+  }
+  if (content.length !== entry.size || crc32(content) !== entry.crc32) {
+    throw new Error(`archive entry ${entry.name} is corrupt (size or CRC-32 mismatch)`);
+  }
+  return content;
+}
+
+function readBytes(descriptor, start, end) {
+  const buffer = Buffer.alloc(Math.max(0, end - start));
+  const bytesRead = fs.readSync(descriptor, buffer, 0, buffer.length, start);
+  return buffer.subarray(0, bytesRead);
+}
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -1,94 +1,682 @@
-import * as core from "@actions/core";
-import * as path from "path";
+import * as core from "../adapters/index.js";
 import * as fs from "fs";
+import * as path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { writeFileBuffer, pathExists, installFile, getTempPath, hashFile } from "./fileUtils.js";
+import { exportVariable, getFlavorVariableName, toEnvName, normalizeVariableSpec, isSecretVariable, maskSecrets } from "./envUtils.js";
+import { recordAsset, recordAssetFailure, getAssetFailures } from "./reportUtils.js";
+import { getApiBaseUrl, downloadWithRetry, getContentDispositionFilename } from "./httpUtils.js";
+import { getCachedAsset, storeCachedAsset, removeCachedAsset, recordCacheHit } from "./cacheUtils.js";
+import { toResourceName, getTargetDirectory, findResourceConflicts } from "./resourceUtils.js";
+import { convertSvgToVectorDrawable } from "./vectorDrawableUtils.js";
+import { sniffFileContentType } from "./sniffUtils.js";
+import { extractZip } from "./archiveUtils.js";
+
+// Content types and the file extension used for them
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/gif': '.gif',
+  'image/svg+xml': '.svg',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/heic': '.heic',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tiff',
+  'application/pdf': '.pdf',
+  'application/json': '.json',
+  'application/xml': '.xml',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/ogg': '.ogv',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'audio/ogg': '.ogg',
+  'font/ttf': '.ttf',
+  'font/otf': '.otf',
+  'application/zip': '.zip'
+};
+
+// Content types that say nothing about the content
+const GENERIC_CONTENT_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/binary'];
+// Spellings of the same file type
+const EXTENSION_ALIASES = { '.jpeg': '.jpg', '.tif': '.tiff' };
+
+export const INTEGRITY_MODES = ['strict', 'warn'];
+export const DEFAULT_MAX_ASSET_SIZE = 100 * 1024 * 1024;
+
+// Downloads at least this large (or of unknown size) log their progress every PROGRESS_STEP
+const PROGRESS_MIN_SIZE = 5 * 1024 * 1024;
+const PROGRESS_STEP = 0.1;
+const PROGRESS_STEP_BYTES = 10 * 1024 * 1024;
+
+// Local directory assets and the logo are read from instead of the network (offline mode)
+let assetsSource = null;
+// strict: an asset that fails verification is not saved and fails the run; warn: it is kept
+let integrityMode = 'strict';
+const integrityFailures = [];
+// Largest asset or logo accepted, in bytes
+let maxAssetSize = DEFAULT_MAX_ASSET_SIZE;
+// Asset names (and 'logo') from the required-assets input, on top of the per-asset required flag
+const requiredAssets = new Set();
+// App module assets with a target are installed into, and the asset_targets config mapping
+let targetAppModule = null;
+let configuredTargets = {};
+// Asset name -> files extracted from its archive, for the per-entry variables
+const extractedArchives = new Map();
+
+/**
+ * Serves assets and the logo from a local directory instead of downloading them
+ * @param {string} [source] - Directory path or file:// URL; empty to download from the network
+ */
+export function setAssetsSource(source) {
+  if (!source) {
+    assetsSource = null;
+    return;
+  }
+  
+  const directory = /^file:\/\//i.test(source) ? fileURLToPath(source) : source;
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new Error(`assets-source ${source} is not a directory`);
+  }
+  assetsSource = path.resolve(directory);
+  core.info(`Offline mode: assets and the logo are read from ${assetsSource}`);
+}
+
+/**
+ * Sets how assets that fail integrity verification are handled
+ * @param {string} mode - 'strict' or 'warn'
+ */
+export function setIntegrityMode(mode) {
+  integrityMode = mode;
+}
+
+/**
+ * Sets the largest asset or logo accepted; larger downloads are aborted
+ * @param {number} bytes - Maximum size in bytes
+ */
+export function setMaxAssetSize(bytes) {
+  maxAssetSize = bytes;
+}
 
-// The FlavorFlow API returns path-only URLs (e.g. /v1/assets/{id},
-// /api/flavors/{id}/logo/file) by convention; resolve them against the API base.
-const API_BASE_URL = "https://api.flavorflow.io";
+/**
+ * Returns the assets rejected by integrity verification in strict mode
+ * @returns {Array<{name: string, problems: string[]}>}
+ */
+export function getIntegrityFailures() {
+  return integrityFailures.map(failure => ({ ...failure, problems: failure.problems.slice() }));
+}
+
+/**
+ * Sets the assets whose download failure fails the run
+ * @param {string[]} names - Asset names from flavor.assets, 'logo' for the logo
+ */
+export function setRequiredAssets(names) {
+  requiredAssets.clear();
+  names.forEach(name => requiredAssets.add(name));
+}
+
+/**
+ * Sets where assets with a target (drawable, raw, font or assets) are installed
+ * @param {Object} options
+ * @param {string|null} options.appModule - Android app module, null without an Android project type
+ * @param {Object} [options.targets] - Asset name -> target from the repository config
+ */
+export function setAssetTargets({ appModule, targets = {} }) {
+  targetAppModule = appModule;
+  configuredTargets = targets;
+}
+
+/**
+ * Tells whether an asset is required, by the required-assets input or its required flag
+ * @param {string} assetName - Asset name from the flavor (or 'logo')
+ * @param {string|Object} asset - Asset entry from flavor.assets or flavor.logo_url
+ * @returns {boolean}
+ */
+export function isAssetRequired(assetName, asset) {
+  return requiredAssets.has(assetName) || normalizeAssetSpec(asset).required;
+}
+
+/**
+ * Lists every required asset that was not fetched: failed downloads of required
+ * assets (and the logo when required) and required names the flavor does not define
+ * @param {Object} flavor - Flavor configuration
+ * @returns {Array<{name: string, error: string}>}
+ */
+export function getRequiredAssetFailures(flavor) {
+  const failures = getAssetFailures()
+    .filter(failure => failure.required)
+    .map(failure => ({ name: failure.name, error: failure.error }));
+  
+  for (const name of requiredAssets) {
+    const defined = name === 'logo'
+      ? Boolean(flavor.logo_url)
+      : Boolean(flavor.assets && Object.hasOwn(flavor.assets, name));
+    if (!defined) {
+      failures.push({ name, error: 'not defined in the flavor' });
+    }
+  }
+  return failures;
+}
+
+/**
+ * Normalizes an asset entry of the flavor: either a URL string or
+ * { url, sha256, size, content_type, required, target } with optional integrity expectations
+ * @param {string|Object} asset - Asset entry from flavor.assets or flavor.logo_url
+ * @returns {{url: string, sha256: string|null, size: number|null, contentType: string|null, required: boolean, target: string|null}}
+ */
+export function normalizeAssetSpec(asset) {
+  if (asset !== null && typeof asset === 'object') {
+    return {
+      url: asset.url,
+      sha256: asset.sha256 ? String(asset.sha256).toLowerCase() : null,
+      size: typeof asset.size === 'number' ? asset.size : null,
+      contentType: asset.content_type || null,
+      required: asset.required === true,
+      target: asset.target || null,
+      extract: typeof asset.extract === 'boolean' ? asset.extract : null,
+      entryVariables: asset.entry_variables === true
+    };
+  }
+  return { url: asset, sha256: null, size: null, contentType: null, required: false, target: null, extract: null, entryVariables: false };
+}
 
 /**
  * Resolves a possibly-relative asset URL against the API base URL.
+ * The FlavorFlow API returns path-only URLs (e.g. /v1/assets/{id},
+ * /api/flavors/{id}/logo/file) by convention.
  * @param {string} url - Absolute or path-only URL
  * @returns {string} - Absolute URL
  */
-function resolveAssetUrl(url) {
-  if (/^https?:\/\//i.test(url)) {
+export function resolveAssetUrl(url) {
+  if (/^(https?|file):\/\//i.test(url)) {
     return url;
   }
-  return `${API_BASE_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+  return `${getApiBaseUrl()}${url.startsWith('/') ? '' : '/'}${url}`;
 }
 
 /**
- * Downloads an asset from URL and returns the absolute path
- * @param {string} assetUrl - The URL to download the asset from
+ * Downloads an asset from URL, verifies it against the expectations of its
+ * object form and returns the absolute path
+ * @param {string|Object} asset - The URL to download the asset from, or { url, sha256, size, content_type, required, target }
  * @param {string} apiKey - API key for authentication
  * @param {string} outputPath - Path where the asset should be saved
+ * @param {string} [assetName] - Name recorded in the apply report (defaults to the file name)
+ * @param {string|null} [target] - Android folder outputPath lies in, checked for conflicting resources
  * @returns {Promise<string>} - Absolute path to the downloaded asset
  */
-export async function downloadAsset(assetUrl, apiKey, outputPath) {
+export async function downloadAsset(asset, apiKey, outputPath, assetName = path.basename(outputPath), target = null) {
+  const expected = normalizeAssetSpec(asset);
+  let resolvedUrl = expected.url;
+  let downloadPath = null;
   try {
-    const resolvedUrl = resolveAssetUrl(assetUrl);
-    core.info(`Downloading asset from: ${resolvedUrl}`);
-
-    // Fetch the asset
-    const response = await fetch(resolvedUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Accept': '*/*'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+    resolvedUrl = resolveAssetUrl(expected.url);
+    // The content is kept out of the tree and out of memory until it is verified
+    downloadPath = getTempPath(`${assetName}.download`);
+    const localPath = findLocalAsset(resolvedUrl, assetName);
+    
+    const { size, contentType: declaredContentType, filename, sourceUrl, attempts, cacheHit, contentLength, validators } = localPath
+      ? readLocalAsset(localPath, downloadPath)
+      : await fetchAsset(resolvedUrl, apiKey, downloadPath, assetName);
+    
+    const { contentType, extension, mismatch } = identifyContent(sniffFileContentType(downloadPath), declaredContentType, filename, sourceUrl);
+    if (mismatch) {
+      core.warning(`Content of ${assetName} ${mismatch}`);
     }
-
-    // Get content type to determine file extension
-    const contentType = response.headers.get('content-type') || '';
-    let extension = getExtensionFromContentType(contentType);
     
-    // If no extension could be determined from content type, try to get it from URL
-    if (!extension) {
-      const urlPath = new URL(resolvedUrl).pathname;
-      const urlExtension = path.extname(urlPath);
-      if (urlExtension) {
-        extension = urlExtension;
-      } else {
-        extension = '.bin'; // fallback for unknown types
+    const sha256 = hashFile(downloadPath);
+    const integrityProblems = verifyIntegrity({ size, sha256, contentType, contentLength }, expected);
+    // Only verified content is cached, so a truncated or wrong body is downloaded again next time
+    if (integrityProblems.length === 0 && validators) {
+      storeCachedAsset(resolvedUrl, { bodyPath: downloadPath, contentType: declaredContentType, filename, ...validators });
+    } else if (integrityProblems.length > 0 && cacheHit) {
+      removeCachedAsset(resolvedUrl);
+    }
+    if (integrityProblems.length > 0) {
+      const message = `integrity verification of ${assetName} failed: ${integrityProblems.join('; ')}`;
+      if (integrityMode === 'strict') {
+        integrityFailures.push({ name: assetName, problems: integrityProblems });
+        throw new Error(message);
       }
+      core.warning(`${message} (integrity-mode: warn, keeping it)`);
     }
 
+    // ZIP bundles are unpacked into a folder named after the asset
+    const extractArchive = isArchiveAsset(expected, contentType, extension, assetName, target);
+    // Android cannot use SVG files, so drawables get a VectorDrawable instead
+    const convertedToVector = !extractArchive && target === 'drawable' && extension === '.svg';
+    const vectorDrawable = convertedToVector ? convertSvgAsset(fs.readFileSync(downloadPath), assetName) : null;
+
     // Create final output path with proper extension
-    const finalOutputPath = `${outputPath}${extension}`;
-    const outputDir = path.dirname(finalOutputPath);
+    const finalOutputPath = extractArchive ? outputPath : `${outputPath}${convertedToVector ? '.xml' : extension}`;
     
-    // Create output directory if it doesn't exist
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+    if (target && !extractArchive) {
+      const conflicts = findResourceConflicts(finalOutputPath, target);
+      if (conflicts.length > 0) {
+        throw new Error(`cannot install ${assetName} as ${finalOutputPath}: ${conflicts.join('; ')}`);
+      }
+      if (pathExists(finalOutputPath)) {
+        core.info(`Replacing existing ${target} file ${finalOutputPath}`);
+      }
     }
 
-    // Get the asset data as buffer
-    const assetBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(assetBuffer);
-
-    // Write the file
-    fs.writeFileSync(finalOutputPath, buffer);
+    // Move the download into place (creating the output directory if needed)
+    let extractedFiles = null;
+    if (extractArchive) {
+      extractedFiles = extractArchiveAsset(downloadPath, finalOutputPath, assetName);
+    } else if (vectorDrawable) {
+      writeFileBuffer(finalOutputPath, vectorDrawable);
+    } else {
+      installFile(downloadPath, finalOutputPath);
+    }
 
     // Verify file was written successfully
-    if (fs.existsSync(finalOutputPath)) {
-      const stats = fs.statSync(finalOutputPath);
+    if (pathExists(finalOutputPath)) {
       core.info(`Asset downloaded successfully: ${finalOutputPath}`);
-      core.info(`File size: ${(stats.size / 1024).toFixed(2)} KB`);
+      core.info(`File size: ${(size / 1024).toFixed(2)} KB`);
       core.info(`Content type: ${contentType}`);
+      core.info(`Attempts for ${assetName}: ${attempts}`);
+      
+      const absolutePath = path.resolve(finalOutputPath);
+      recordAsset({
+        name: assetName,
+        url: sourceUrl,
+        path: absolutePath,
+        size,
+        sha256,
+        contentType,
+        declaredContentType,
+        contentMismatch: mismatch,
+        attempts,
+        cacheHit,
+        integrity: getIntegrityStatus(expected, integrityProblems),
+        integrityProblems,
+        target,
+        convertedToVector,
+        extractedFiles: extractedFiles && extractedFiles.map(file => ({ name: file.name, size: file.size }))
+      });
       
       // Return absolute path
-      return path.resolve(finalOutputPath);
+      return absolutePath;
     } else {
       throw new Error('Asset file was not created successfully');
     }
   } catch (error) {
-    throw new Error(`Failed to download asset: ${error.message}`);
+    // Errors can quote request details, so the API key never reaches the log, summary or report
+    const message = maskApiKey(error.message, apiKey);
+    recordAssetFailure({
+      name: assetName,
+      url: maskApiKey(resolvedUrl, apiKey),
+      attempts: error.attempts || 1,
+      error: message,
+      required: isAssetRequired(assetName, asset)
+    });
+    throw new Error(`Failed to download asset: ${message}`);
+  } finally {
+    // Partial, rejected or converted downloads never reach the tree
+    if (downloadPath) {
+      fs.rmSync(downloadPath, { force: true });
+    }
+  }
+}
+
+/**
+ * Replaces the API key, and any other registered secret, in text with ***
+ * @param {string} text - Error message or URL
+ * @param {string} apiKey - API key for authentication
+ * @returns {string}
+ */
+function maskApiKey(text, apiKey) {
+  return maskSecrets(apiKey ? String(text).split(apiKey).join('***') : text);
+}
+
+/**
+ * Decides whether a download is extracted: as its extract flag says, otherwise
+ * when it is a .zip file (not an .apk, .aar or other ZIP-based format)
+ * @param {Object} expected - Expectations from normalizeAssetSpec()
+ * @param {string} contentType - Detected content type
+ * @param {string} extension - Detected file extension
+ * @param {string} assetName - Asset name used in messages
+ * @param {string|null} target - Android folder the asset is installed into
+ * @returns {boolean}
+ */
+function isArchiveAsset(expected, contentType, extension, assetName, target) {
+  const extract = expected.extract ?? extension === '.zip';
+  if (!extract) {
+    return false;
   }
+  if (mediaType(contentType) !== 'application/zip') {
+    throw new Error(`${assetName} is marked for extraction, but it is not a ZIP archive (${contentType || 'unknown content type'})`);
+  }
+  // Resource folders cannot have subfolders, only src/main/assets can hold the extracted folder
+  if (target && target !== 'assets') {
+    throw new Error(`${assetName} is an archive and can only be extracted into the assets target, not ${target}`);
+  }
+  return true;
+}
+
+/**
+ * Extracts an archive asset into its folder and remembers its files
+ * @param {string} archivePath - Downloaded archive
+ * @param {string} folderPath - Folder the archive is extracted into
+ * @param {string} assetName - Asset name used in messages
+ * @returns {Array<{name: string, path: string, size: number}>} - Extracted files
+ */
+function extractArchiveAsset(archivePath, folderPath, assetName) {
+  if (pathExists(folderPath)) {
+    core.info(`Extracting ${assetName} into the existing folder ${folderPath}, files not in the archive are kept`);
+  }
+  
+  let files;
+  try {
+    // The uncompressed contents are held to the same limit as a download
+    files = extractZip(archivePath, folderPath, { maxSize: maxAssetSize });
+  } catch (error) {
+    throw new Error(`failed to extract ${assetName}: ${error.message}`);
+  }
+  extractedArchives.set(assetName, files);
+  core.info(`Extracted ${files.length} files from ${assetName} into ${folderPath}`);
+  return files;
+}
+
+/**
+ * Converts a downloaded SVG into VectorDrawable XML, logging what it could not convert
+ * @param {Buffer} buffer - SVG content
+ * @param {string} assetName - Asset name used in messages
+ * @returns {Buffer} - VectorDrawable XML
+ */
+function convertSvgAsset(buffer, assetName) {
+  let converted;
+  try {
+    converted = convertSvgToVectorDrawable(buffer.toString('utf8'));
+  } catch (error) {
+    throw new Error(`failed to convert ${assetName} to a VectorDrawable: ${error.message}`);
+  }
+  converted.warnings.forEach(warning => core.warning(`${assetName}: ${warning}`));
+  core.info(`Converted ${assetName} from SVG to a VectorDrawable`);
+  return Buffer.from(converted.xml, 'utf8');
+}
+
+/**
+ * Checks a downloaded asset against the expected sha256, size and content type
+ * and against the Content-Length the server announced
+ * @param {Object} actual - What was downloaded ({ size, sha256, contentType, contentLength })
+ * @param {Object} expected - Expectations from normalizeAssetSpec()
+ * @returns {string[]} - Problems found
+ */
+function verifyIntegrity(actual, expected) {
+  const problems = [];
+  const { size } = actual;
+  
+  if (actual.contentLength !== null && actual.contentLength !== undefined && size !== actual.contentLength) {
+    problems.push(`truncated body: received ${size} of ${actual.contentLength} bytes announced by Content-Length`);
+  }
+  if (expected.size !== null && size !== expected.size) {
+    problems.push(size < expected.size
+      ? `truncated body: received ${size} of ${expected.size} bytes`
+      : `size is ${size} bytes, expected ${expected.size}`);
+  }
+  if (expected.sha256 && actual.sha256 !== expected.sha256) {
+    problems.push(`sha256 is ${actual.sha256}, expected ${expected.sha256}`);
+  }
+  if (expected.contentType && mediaType(actual.contentType) !== mediaType(expected.contentType)) {
+    problems.push(`content type is ${actual.contentType || 'missing'}, expected ${expected.contentType}`);
+  }
+  
+  return problems;
+}
+
+function mediaType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function getIntegrityStatus(expected, problems) {
+  if (problems.length > 0) {
+    return 'mismatch';
+  }
+  return expected.sha256 || expected.size !== null || expected.contentType ? 'verified' : 'unchecked';
+}
+
+/**
+ * Downloads an asset over HTTP into a file, retrying transient failures. A
+ * cached copy is revalidated with If-None-Match / If-Modified-Since and copied
+ * on 304. A fresh download is not cached here: downloadAsset stores it with
+ * the returned validators once it passed verification.
+ * @param {string} resolvedUrl - Absolute URL
+ * @param {string} apiKey - API key for authentication
+ * @param {string} downloadPath - File the content is written to
+ * @param {string} assetName - Asset name used in progress messages
+ * @returns {Promise<{size: number, contentType: string, filename: string|null, sourceUrl: string, attempts: number, cacheHit: boolean, contentLength: number|null, validators?: {etag: string|null, lastModified: string|null}}>}
+ */
+async function fetchAsset(resolvedUrl, apiKey, downloadPath, assetName) {
+  core.info(`Downloading asset from: ${resolvedUrl}`);
+
+  const cached = getCachedAsset(resolvedUrl);
+  const headers = {
+    'Authorization': `Bearer ${apiKey}`,
+    'Accept': '*/*'
+  };
+  if (cached?.etag) {
+    headers['If-None-Match'] = cached.etag;
+  }
+  if (cached?.lastModified) {
+    headers['If-Modified-Since'] = cached.lastModified;
+  }
+
+  // Stream the asset to disk
+  const { response, size, contentLength, attempts } = await downloadWithRetry(resolvedUrl, downloadPath, {
+    method: 'GET',
+    headers
+  }, {
+    maxSize: maxAssetSize,
+    onProgress: createProgressReporter(assetName)
+  });
+
+  if (response.status === 304) {
+    if (!cached) {
+      throw new Error('HTTP 304 Not Modified for a request without a cached copy');
+    }
+    fs.copyFileSync(cached.bodyPath, downloadPath);
+    const cachedSize = fs.statSync(downloadPath).size;
+    if (cachedSize > maxAssetSize) {
+      throw new Error(`cached copy of ${cachedSize} bytes exceeds the maximum size of ${maxAssetSize} bytes`);
+    }
+    core.info(`✓ Not modified, using the cached copy of ${resolvedUrl}`);
+    recordCacheHit();
+    return {
+      size: cachedSize,
+      contentType: cached.contentType,
+      filename: cached.filename,
+      sourceUrl: resolvedUrl,
+      attempts,
+      cacheHit: true,
+      contentLength: null
+    };
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const filename = getContentDispositionFilename(response.headers.get('content-disposition'));
+  // Kept so the next request for this URL can be conditional, once downloadAsset verified the body
+  const validators = { etag: response.headers.get('etag'), lastModified: response.headers.get('last-modified') };
+
+  return { size, contentType, filename, sourceUrl: resolvedUrl, attempts, cacheHit: false, contentLength, validators };
+}
+
+/**
+ * Creates the progress callback of a download. Only large downloads, or ones
+ * of unknown size, are logged: every 10% of a known size, every 10 MB otherwise.
+ * @param {string} assetName - Asset name used in messages
+ * @returns {Function} - (bytes received, total bytes or null) => void
+ */
+function createProgressReporter(assetName) {
+  let reportedSteps = 0;
+  return (received, total) => {
+    if (total !== null && total < PROGRESS_MIN_SIZE) {
+      return;
+    }
+    const steps = Math.floor(total !== null ? received / total / PROGRESS_STEP : received / PROGRESS_STEP_BYTES);
+    if (steps <= reportedSteps) {
+      return;
+    }
+    reportedSteps = steps;
+    
+    const megabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+    core.info(total !== null
+      ? `⏬ ${assetName}: ${megabytes(received)} of ${megabytes(total)} MB (${Math.floor(received / total * 100)}%)`
+      : `⏬ ${assetName}: ${megabytes(received)} MB`);
+  };
+}
+
+/**
+ * Works out the type and file extension of a download. The content itself
+ * wins, then the Content-Disposition file name, the Content-Type header and
+ * the URL. ZIP content keeps a declared extension, since many formats
+ * (.apk, .docx, ...) are ZIP archives.
+ * @param {string|null} sniffedType - Content type recognised from the content
+ * @param {string} declaredContentType - Content-Type header (or the local file's type)
+ * @param {string|null} filename - Content-Disposition file name
+ * @param {string} sourceUrl - Absolute URL the content came from
+ * @returns {{contentType: string, extension: string, mismatch: string|null}}
+ */
+function identifyContent(sniffedType, declaredContentType, filename, sourceUrl) {
+  const declaredType = mediaType(declaredContentType);
+  const headerExtension = GENERIC_CONTENT_TYPES.includes(declaredType) ? null : getExtensionFromContentType(declaredType);
+  const filenameExtension = normalizeExtension(path.extname(filename || ''));
+  const urlExtension = normalizeExtension(path.extname(new URL(sourceUrl).pathname));
+  
+  const sniffedExtension = sniffedType ? getExtensionFromContentType(sniffedType) : null;
+  
+  // Report declarations that contradict the content, when they name a known type
+  const contradictions = [];
+  if (sniffedExtension && headerExtension && !isSameFileType(headerExtension, sniffedExtension)) {
+    contradictions.push(`Content-Type says ${declaredType}`);
+  }
+  if (sniffedExtension && filenameExtension && isKnownExtension(filenameExtension) && !isSameFileType(filenameExtension, sniffedExtension)) {
+    contradictions.push(`the file name ${filename} says ${filenameExtension}`);
+  }
+  const mismatch = contradictions.length > 0 ? `looks like ${sniffedType}, but ${contradictions.join(' and ')}` : null;
+  
+  const declaredExtension = filenameExtension || headerExtension || urlExtension;
+  let extension;
+  if (sniffedExtension && !(sniffedExtension === '.zip' && declaredExtension)) {
+    extension = sniffedExtension;
+  } else {
+    extension = declaredExtension || '.bin'; // fallback for unknown types
+  }
+  
+  let contentType = sniffedType;
+  if (!contentType) {
+    contentType = headerExtension ? declaredContentType : getContentTypeFromExtension(extension);
+  }
+  return { contentType, extension, mismatch };
+}
+
+function normalizeExtension(extension) {
+  const lower = extension.toLowerCase();
+  return EXTENSION_ALIASES[lower] || lower;
+}
+
+function isKnownExtension(extension) {
+  return Object.values(CONTENT_TYPE_EXTENSIONS).includes(extension);
+}
+
+function isSameFileType(declaredExtension, sniffedExtension) {
+  // SVG is XML and JSON is text, and they are often served as such
+  return declaredExtension === sniffedExtension
+    || (declaredExtension === '.xml' && sniffedExtension === '.svg')
+    || (declaredExtension === '.txt' && ['.json', '.svg'].includes(sniffedExtension));
+}
+
+/**
+ * Finds the local file that replaces a download: file:// URLs point at it
+ * directly, and with assets-source set every asset is looked up there, first by
+ * asset name (splash.png for "splash", logo.svg for the logo) and then by the
+ * URL path (v1/assets/123.png for /v1/assets/123).
+ * @param {string} resolvedUrl - Absolute asset URL
+ * @param {string} assetName - Asset name from the flavor (or 'logo')
+ * @returns {string|null} - Local file path, or null when the asset must be downloaded
+ */
+function findLocalAsset(resolvedUrl, assetName) {
+  if (/^file:\/\//i.test(resolvedUrl)) {
+    const filePath = fileURLToPath(resolvedUrl);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new Error(`Local asset ${filePath} does not exist`);
+    }
+    return filePath;
+  }
+  
+  if (!assetsSource) {
+    return null;
+  }
+  
+  const urlPath = decodeURIComponent(new URL(resolvedUrl).pathname).replace(/^\/+/, '');
+  const candidates = [assetName, urlPath].filter(Boolean);
+  for (const candidate of candidates) {
+    const match = findFileWithAnyExtension(path.join(assetsSource, candidate));
+    if (match) {
+      return match;
+    }
+  }
+  
+  // Offline mode never falls back to the network
+  throw new Error(`No file for '${assetName}' in assets-source ${assetsSource} (looked for ${candidates.map(candidate => `${candidate}[.ext]`).join(', ')})`);
+}
+
+function findFileWithAnyExtension(basePath) {
+  // The lookup must stay inside assets-source
+  if (path.relative(assetsSource, basePath).startsWith('..')) {
+    return null;
+  }
+  if (fs.existsSync(basePath) && fs.statSync(basePath).isFile()) {
+    return basePath;
+  }
+  
+  const directory = path.dirname(basePath);
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    return null;
+  }
+  const baseName = path.basename(basePath);
+  const matches = fs.readdirSync(directory)
+    .filter(entry => path.basename(entry, path.extname(entry)) === baseName)
+    .map(entry => path.join(directory, entry))
+    .filter(entryPath => fs.statSync(entryPath).isFile())
+    .sort();
+  
+  if (matches.length > 1) {
+    throw new Error(`Ambiguous local asset ${basePath}: ${matches.map(match => path.basename(match)).join(', ')}`);
+  }
+  return matches[0] || null;
+}
+
+/**
+ * Copies an asset from the local file system like a download
+ * @param {string} localPath - Local file path
+ * @param {string} downloadPath - File the content is copied to
+ * @returns {{size: number, contentType: string, filename: null, sourceUrl: string, attempts: number, cacheHit: boolean, contentLength: null}}
+ */
+function readLocalAsset(localPath, downloadPath) {
+  core.info(`Reading asset from: ${localPath}`);
+  
+  const size = fs.statSync(localPath).size;
+  if (size > maxAssetSize) {
+    throw new Error(`${localPath} is ${size} bytes, more than the maximum size of ${maxAssetSize} bytes`);
+  }
+  fs.copyFileSync(localPath, downloadPath);
+  
+  // The extension of the local file plays the part of the Content-Type header
+  const extension = path.extname(localPath).toLowerCase() || '.bin';
+  return {
+    size,
+    contentType: getContentTypeFromExtension(extension),
+    filename: null,
+    sourceUrl: pathToFileURL(localPath).href,
+    attempts: 1,
+    cacheHit: false,
+    contentLength: null
+  };
 }
 
 /**
@@ -99,31 +687,8 @@ export async function downloadAsset(assetUrl, apiKey, outputPath) {
 function getExtensionFromContentType(contentType) {
   const contentTypeLower = contentType.toLowerCase();
   
-  // Define content type to extension mappings
-  const contentTypeMap = {
-    'image/png': '.png',
-    'image/jpeg': '.jpg',
-    'image/jpg': '.jpg',
-    'image/gif': '.gif',
-    'image/svg+xml': '.svg',
-    'image/webp': '.webp',
-    'image/bmp': '.bmp',
-    'image/tiff': '.tiff',
-    'application/pdf': '.pdf',
-    'application/json': '.json',
-    'application/xml': '.xml',
-    'text/plain': '.txt',
-    'text/csv': '.csv',
-    'video/mp4': '.mp4',
-    'video/webm': '.webm',
-    'video/ogg': '.ogv',
-    'audio/mpeg': '.mp3',
-    'audio/wav': '.wav',
-    'audio/ogg': '.ogg'
-  };
-  
   // Find matching content type
-  for (const [type, extension] of Object.entries(contentTypeMap)) {
+  for (const [type, extension] of Object.entries(CONTENT_TYPE_EXTENSIONS)) {
     if (contentTypeLower.includes(type)) {
       return extension;
     }
@@ -132,14 +697,25 @@ function getExtensionFromContentType(contentType) {
   return null;
 }
 
+/**
+ * Gets the content type of a file extension
+ * @param {string} extension - File extension including the dot
+ * @returns {string} - Content type, application/octet-stream if unknown
+ */
+function getContentTypeFromExtension(extension) {
+  const match = Object.entries(CONTENT_TYPE_EXTENSIONS).find(([, candidate]) => candidate === extension);
+  return match ? match[0] : 'application/octet-stream';
+}
+
 /**
  * Downloads all assets from the flavor configuration and sets environment variables
  * @param {Object} assets - Assets object from flavor configuration
  * @param {string} apiKey - API key for authentication
  * @param {string} destinationDir - Directory where assets should be downloaded
+ * @param {number} [concurrency] - Maximum number of downloads in flight
  * @returns {Promise<Object>} - Object mapping asset names to their absolute paths
  */
-export async function downloadAndSetAssets(assets, apiKey, destinationDir) {
+export async function downloadAndSetAssets(assets, apiKey, destinationDir, concurrency = 1) {
   if (!assets || typeof assets !== 'object') {
     core.info("No assets found to download");
     return {};
@@ -147,30 +723,131 @@ export async function downloadAndSetAssets(assets, apiKey, destinationDir) {
 
   core.info("=== Downloading Assets ===");
   const downloadedAssets = {};
+  const entries = Object.entries(assets);
+  const results = new Array(entries.length).fill(null);
+  const placements = planAssetPlacements(entries, destinationDir);
   
-  for (const [assetName, assetUrl] of Object.entries(assets)) {
-    try {
-      const outputPath = path.join(destinationDir, assetName);
-      const absolutePath = await downloadAsset(assetUrl, apiKey, outputPath);
-      
-      // Set environment variable for the asset
-      const envVarName = assetName.toUpperCase();
-      core.exportVariable(envVarName, absolutePath);
-      core.info(`Set environment variable: ${envVarName}=${absolutePath}`);
-      
-      downloadedAssets[assetName] = absolutePath;
-    } catch (error) {
-      core.warning(`Failed to download asset '${assetName}': ${error.message}`);
-      // Continue with other assets even if one fails
+  // A fixed pool of workers takes the next asset as soon as one finishes
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < entries.length) {
+      const index = nextIndex++;
+      const [assetName, asset] = entries[index];
+      try {
+        const { outputPath, target, conflict } = placements[index];
+        if (conflict) {
+          recordAssetFailure({
+            name: assetName,
+            url: resolveAssetUrl(normalizeAssetSpec(asset).url),
+            attempts: 0,
+            error: conflict,
+            required: isAssetRequired(assetName, asset)
+          });
+          throw new Error(conflict);
+        }
+        results[index] = await downloadAsset(asset, apiKey, outputPath, assetName, target);
+      } catch (error) {
+        core.warning(`Failed to download ${isAssetRequired(assetName, asset) ? 'required ' : ''}asset '${assetName}': ${error.message}`);
+        // Continue with other assets even if one fails, required ones fail the run afterwards
+      }
     }
-  }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, entries.length) }, worker));
+  
+  // Variables are exported in flavor order, whatever order the downloads finished in
+  entries.forEach(([assetName, asset], index) => {
+    const absolutePath = results[index];
+    if (!absolutePath) {
+      return;
+    }
+    
+    downloadedAssets[assetName] = absolutePath;
+    
+    // Set environment variable for the asset
+    const envVarName = getFlavorVariableName(assetName);
+    if (!envVarName) {
+      core.warning(`Asset '${assetName}' has no letters or digits to name an environment variable after, not setting one`);
+      return;
+    }
+    if (setVariable(envVarName, absolutePath, `asset '${assetName}'`) && normalizeAssetSpec(asset).entryVariables && extractedArchives.has(assetName)) {
+      setEntryVariables(envVarName, assetName, extractedArchives.get(assetName));
+    }
+  });
   
   core.info(`Successfully downloaded ${Object.keys(downloadedAssets).length} assets`);
   return downloadedAssets;
 }
 
 /**
- * Sets environment variables from the flavor variables configuration
+ * Exports a variable per extracted file, named after the asset variable and
+ * the file's path in the archive (fonts/Brand-Bold.ttf in BUNDLE becomes
+ * BUNDLE_FONTS_BRAND_BOLD_TTF)
+ * @param {string} assetVariable - Variable of the archive folder
+ * @param {string} assetName - Asset name used in messages
+ * @param {Array<{name: string, path: string}>} files - Extracted files
+ */
+function setEntryVariables(assetVariable, assetName, files) {
+  for (const file of files) {
+    if (!toEnvName(file.name)) {
+      continue;
+    }
+    const envVarName = toEnvName(`${assetVariable}_${file.name.replace(/^[^A-Za-z0-9]+/, '')}`);
+    setVariable(envVarName, path.resolve(file.path), `file ${file.name} of asset '${assetName}'`);
+  }
+}
+
+/**
+ * Exports a variable named after flavor content and logs it
+ * @param {string} envVarName - Environment variable name
+ * @param {string} value - Value
+ * @param {string} source - What the variable is for, used in collision warnings
+ * @param {boolean} [secret] - Mask the value instead of logging it
+ * @returns {boolean} - Whether the variable was exported
+ */
+function setVariable(envVarName, value, source, secret = false) {
+  if (!exportVariable(envVarName, value, source, { secret })) {
+    return false;
+  }
+  core.info(`Set environment variable: ${envVarName}=${secret ? '*** (secret)' : value}`);
+  return true;
+}
+
+/**
+ * Decides where every asset is saved: assets with a target (from the flavor or
+ * asset_targets) go into the Android app module under a resource-safe name,
+ * the others into the destination directory
+ * @param {Array<[string, string|Object]>} entries - Asset name and entry pairs
+ * @param {string} destinationDir - Directory where untargeted assets are saved
+ * @returns {Array<{outputPath: string, target: string|null, conflict: string|null}>}
+ */
+function planAssetPlacements(entries, destinationDir) {
+  const claimedPaths = new Map();
+  
+  return entries.map(([assetName, asset]) => {
+    const target = normalizeAssetSpec(asset).target || configuredTargets[assetName] || null;
+    if (!target) {
+      return { outputPath: path.join(destinationDir, assetName), target: null, conflict: null };
+    }
+    if (!targetAppModule) {
+      core.warning(`Asset '${assetName}' targets ${target}, but no Android project type is selected; saving it to ${destinationDir}`);
+      return { outputPath: path.join(destinationDir, assetName), target: null, conflict: null };
+    }
+    
+    const outputPath = path.join(getTargetDirectory(targetAppModule, target), toResourceName(assetName));
+    // Two assets whose names only differ in case or punctuation would overwrite each other
+    const claimedBy = claimedPaths.get(outputPath);
+    if (claimedBy) {
+      return { outputPath, target, conflict: `asset '${assetName}' and '${claimedBy}' both install as ${outputPath}` };
+    }
+    claimedPaths.set(outputPath, assetName);
+    return { outputPath, target, conflict: null };
+  });
+}
+
+/**
+ * Sets environment variables from the flavor variables configuration. A
+ * variable is a secret when written as { "value": ..., "secret": true } or when
+ * it matches a secret-variables pattern; its value is masked and never logged.
  * @param {Object} variables - Variables object from flavor configuration
  */
 export function setFlavorVariables(variables) {
@@ -183,11 +860,13 @@ export function setFlavorVariables(variables) {
   
   for (const [varName, varValue] of Object.entries(variables)) {
     try {
-      const envVarName = varName.toUpperCase();
-      const stringValue = String(varValue);
+      const envVarName = getFlavorVariableName(varName);
+      if (!envVarName) {
+        core.warning(`Variable '${varName}' has no letters or digits to name an environment variable after, not setting it`);
+        continue;
+      }
       
-      core.exportVariable(envVarName, stringValue);
-      core.info(`Set environment variable: ${envVarName}=${stringValue}`);
+      setVariable(envVarName, String(normalizeVariableSpec(varValue).value), `variable '${varName}'`, isSecretVariable(varName, varValue));
     } catch (error) {
       core.warning(`Failed to set variable '${varName}': ${error.message}`);
     }
@@ -0,0 +1,182 @@
+import * as core from "../adapters/index.js";
+import * as fs from "fs";
+import * as path from "path";
+import * as crypto from "crypto";
+import { getTempPath, hashFile } from "./fileUtils.js";
+
+/**
+ * Asset cache utilities. Downloads are cached by URL and flavor together with
+ * their ETag / Last-Modified validators, so later requests can be made
+ * conditional. Entries live in memory for the run and, when a cache directory
+ * is configured, on disk where the workflow can persist them between runs.
+ */
+
+const CACHE_VERSION = 1;
+
+// cache key -> { url, bodyPath, contentType, filename, etag, lastModified }; bodies
+// stay on disk, in the cache directory or the scratch directory without one
+const memoryCache = new Map();
+let cacheDirectory = null;
+let cacheFlavor = '';
+let cacheHits = 0;
+
+/**
+ * Configures the asset cache for the flavor being applied
+ * @param {Object} options - Cache options
+ * @param {string} [options.directory] - Directory persisted between runs; memory only when omitted
+ * @param {string} [options.flavorId] - Flavor the cached downloads belong to
+ */
+export function configureAssetCache({ directory, flavorId } = {}) {
+  cacheDirectory = directory ? path.resolve(directory) : null;
+  cacheFlavor = flavorId ? String(flavorId) : '';
+  
+  if (cacheDirectory) {
+    try {
+      fs.mkdirSync(cacheDirectory, { recursive: true });
+    } catch (error) {
+      throw new Error(`Failed to create cache-dir ${directory}: ${error.message}`);
+    }
+    core.info(`Asset cache: ${cacheDirectory}`);
+  }
+}
+
+/**
+ * Looks up the cached copy of a URL
+ * @param {string} url - Resolved asset URL
+ * @returns {{bodyPath: string, contentType: string, filename: string|null, etag: string|null, lastModified: string|null}|null}
+ */
+export function getCachedAsset(url) {
+  const key = cacheKey(url);
+  if (memoryCache.has(key)) {
+    return memoryCache.get(key);
+  }
+  if (!cacheDirectory) {
+    return null;
+  }
+  
+  const entry = readCacheEntry(key, url);
+  if (entry) {
+    memoryCache.set(key, entry);
+  }
+  return entry;
+}
+
+/**
+ * Stores a downloaded asset. Responses without ETag or Last-Modified cannot be
+ * revalidated and are not cached.
+ * @param {string} url - Resolved asset URL
+ * @param {Object} entry - Downloaded asset
+ * @param {string} entry.bodyPath - File holding the content; it is copied
+ * @param {string} entry.contentType - Content-Type header
+ * @param {string|null} entry.filename - Content-Disposition file name
+ * @param {string|null} entry.etag - ETag header
+ * @param {string|null} entry.lastModified - Last-Modified header
+ */
+export function storeCachedAsset(url, { bodyPath, contentType, filename, etag, lastModified }) {
+  if (!etag && !lastModified) {
+    return;
+  }
+  
+  const key = cacheKey(url);
+  const entry = { url, bodyPath, contentType, filename: filename || null, etag: etag || null, lastModified: lastModified || null };
+  
+  try {
+    memoryCache.set(key, { ...entry, bodyPath: cacheDirectory ? writeCacheEntry(key, entry) : copyToScratch(key, bodyPath) });
+  } catch (error) {
+    // A cache that cannot be written only costs a download next time
+    core.warning(`Failed to write asset cache entry for ${url}: ${error.message}`);
+  }
+}
+
+/**
+ * Drops the cached copy of a URL, e.g. after it failed verification, so the
+ * next request downloads it again instead of revalidating it
+ * @param {string} url - Resolved asset URL
+ */
+export function removeCachedAsset(url) {
+  const key = cacheKey(url);
+  memoryCache.delete(key);
+  if (cacheDirectory) {
+    // Metadata first, so a concurrent reader never pairs it with a missing body
+    fs.rmSync(path.join(cacheDirectory, `${key}.json`), { force: true });
+    fs.rmSync(path.join(cacheDirectory, `${key}.bin`), { force: true });
+  }
+}
+
+/**
+ * Counts an asset served from the cache
+ */
+export function recordCacheHit() {
+  cacheHits++;
+}
+
+/**
+ * Returns the number of assets served from the cache during this run
+ * @returns {number}
+ */
+export function getCacheHits() {
+  return cacheHits;
+}
+
+function cacheKey(url) {
+  return crypto.createHash('sha256').update(`${cacheFlavor}\n${url}`).digest('hex');
+}
+
+function readCacheEntry(key, url) {
+  const metadataPath = path.join(cacheDirectory, `${key}.json`);
+  const bodyPath = path.join(cacheDirectory, `${key}.bin`);
+  if (!fs.existsSync(metadataPath) || !fs.existsSync(bodyPath)) {
+    return null;
+  }
+  
+  try {
+    const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    if (metadata.version !== CACHE_VERSION || metadata.url !== url || metadata.sha256 !== hashFile(bodyPath)) {
+      core.debug(`Ignoring stale or corrupt asset cache entry ${key}`);
+      return null;
+    }
+    return {
+      url,
+      bodyPath,
+      contentType: metadata.content_type,
+      filename: metadata.filename ?? null,
+      etag: metadata.etag,
+      lastModified: metadata.last_modified
+    };
+  } catch (error) {
+    core.debug(`Ignoring unreadable asset cache entry ${key}: ${error.message}`);
+    return null;
+  }
+}
+
+function copyToScratch(key, bodyPath) {
+  const scratchPath = getTempPath(`${key}.bin`);
+  fs.copyFileSync(bodyPath, scratchPath);
+  return scratchPath;
+}
+
+function writeCacheEntry(key, entry) {
+  const metadata = {
+    version: CACHE_VERSION,
+    url: entry.url,
+    flavor: cacheFlavor || null,
+    etag: entry.etag,
+    last_modified: entry.lastModified,
+    content_type: entry.contentType,
+    filename: entry.filename,
+    size: fs.statSync(entry.bodyPath).size,
+    sha256: hashFile(entry.bodyPath),
+    stored_at: new Date().toISOString()
+  };
+  
+  // Body first, metadata last: an entry is only used once both match, and
+  // renames keep concurrent matrix jobs sharing the directory from seeing partial files
+  const suffix = `.${process.pid}.tmp`;
+  const bodyPath = path.join(cacheDirectory, `${key}.bin`);
+  const metadataPath = path.join(cacheDirectory, `${key}.json`);
+  fs.copyFileSync(entry.bodyPath, bodyPath + suffix);
+  fs.renameSync(bodyPath + suffix, bodyPath);
+  fs.writeFileSync(metadataPath + suffix, JSON.stringify(metadata, null, 2) + '\n', 'utf8');
+  fs.renameSync(metadataPath + suffix, metadataPath);
+  return bodyPath;
+}
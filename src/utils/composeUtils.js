@@ -1,7 +1,7 @@
-import * as core from '@actions/core';
-import { readFileContent, writeFileContent, ensureDirectoryExists } from './fileUtils.js';
+import * as core from '../adapters/index.js';
+import { readFileContent, writeFileContent, ensureDirectoryExists, pathExists, listFilesRecursive } from './fileUtils.js';
+import { getRepoConfig } from './configUtils.js';
 import * as path from 'path';
-import * as fs from 'fs';
 
 /**
  * Compose theme management utilities
@@ -14,13 +14,13 @@ import * as fs from 'fs';
  */
 export function usesComposeTheming(appModule) {
   try {
-    const sourceDirs = ['src/main/java', 'src/main/kotlin'];
+    const sourceDirs = getRepoConfig().source_dirs;
     
     for (const sourceDir of sourceDirs) {
       const sourcePath = path.join(appModule, sourceDir);
       
-      if (fs.existsSync(sourcePath)) {
-        const files = fs.readdirSync(sourcePath, { recursive: true });
+      if (pathExists(sourcePath)) {
+        const files = listFilesRecursive(sourcePath);
         
         // Check for Theme.kt files or @Composable theme functions
         const hasComposeTheme = files.some(file => {
@@ -30,7 +30,7 @@ export function usesComposeTheming(appModule) {
           if (typeof file === 'string' && file.endsWith('.kt')) {
             try {
               const filePath = path.join(sourcePath, file);
-              const content = fs.readFileSync(filePath, 'utf8');
+              const content = readFileContent(filePath);
               return content.includes('@Composable') && 
                      (content.includes('Theme(') || content.includes('MaterialTheme'));
             } catch {
@@ -71,14 +71,14 @@ export function updateComposeTheme(appModule, config) {
 }
 
 function detectPrimarySourceDirectory(appModule) {
-  const sourceDirs = ['src/main/java', 'src/main/kotlin'];
+  const sourceDirs = getRepoConfig().source_dirs;
   
   for (const sourceDir of sourceDirs) {
     const sourcePath = path.join(appModule, sourceDir);
     
     try {
-      if (fs.existsSync(sourcePath)) {
-        const files = fs.readdirSync(sourcePath, { recursive: true });
+      if (pathExists(sourcePath)) {
+        const files = listFilesRecursive(sourcePath);
         
         // Check if this directory has source files
         const hasSourceFiles = files.some(file => 
@@ -95,26 +95,27 @@ function detectPrimarySourceDirectory(appModule) {
     }
   }
   
-  // Default to Java if no source files found
-  return 'src/main/java';
+  // Default to the first configured source directory (Java unless overridden)
+  return getRepoConfig().source_dirs[0];
 }
 
 function findComposeThemeFiles(appModule, config) {
   const themeFiles = [];
-  const searchDirs = [
-    'src/main/java',
-    'src/main/kotlin'
-  ];
+  const searchDirs = getRepoConfig().source_dirs;
+  const configuredThemeDir = getRepoConfig().theme_dir;
   
   for (const searchDir of searchDirs) {
     const sourcePath = path.join(appModule, searchDir);
     
     try {
-      const files = fs.readdirSync(sourcePath, { recursive: true });
+      const files = listFilesRecursive(sourcePath);
       
       for (const file of files) {
-        if ((file.includes('theme') || file.includes('Theme')) && 
-            (file.endsWith('.kt') || file.endsWith('.java'))) {
+        const fileDir = `/${path.dirname(file).split(path.sep).join('/')}`;
+        const inThemeDir = configuredThemeDir
+          ? fileDir.endsWith(`/${normalizeThemeDir(configuredThemeDir)}`)
+          : file.includes('theme') || file.includes('Theme');
+        if (inThemeDir && (file.endsWith('.kt') || file.endsWith('.java'))) {
           themeFiles.push(path.join(sourcePath, file));
         }
       }
@@ -458,21 +459,27 @@ function createComposeThemeFiles(appModule, config) {
   const sourceDir = detectPrimarySourceDirectory(appModule);
   
   // Create theme directory in the appropriate source directory
-  const themeDir = path.join(appModule, sourceDir, packagePath, 'ui/theme');
+  const relativeThemeDir = normalizeThemeDir(getRepoConfig().theme_dir || 'ui/theme');
+  const themeDir = path.join(appModule, sourceDir, packagePath, relativeThemeDir);
+  const themePackage = `${packageName}.${relativeThemeDir.replace(/\//g, '.')}`;
   ensureDirectoryExists(themeDir);
   
   // Create Color.kt
-  createColorFile(themeDir, config, `${packageName}.ui.theme`);
+  createColorFile(themeDir, config, themePackage);
   
   // Create Theme.kt
-  createThemeFile(themeDir, config, `${packageName}.ui.theme`);
+  createThemeFile(themeDir, config, themePackage);
   
   // Create Type.kt
-  createTypographyFile(themeDir, config, `${packageName}.ui.theme`);
+  createTypographyFile(themeDir, config, themePackage);
   
   core.info(`Created Compose theme files in ${themeDir}`);
 }
 
+function normalizeThemeDir(themeDir) {
+  return themeDir.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+}
+
 function createColorFile(themeDir, config, packageName) {
   const lightTheme = config.theme?.light || {};
   const darkTheme = config.theme?.dark || {};
@@ -0,0 +1,190 @@
+import * as core from "../adapters/index.js";
+import * as fs from "fs";
+import * as path from "path";
+import { parse as parseYaml } from "yaml";
+import { PIPELINE_STEPS } from "./stepUtils.js";
+import { VALIDATION_MODES, ASSET_TARGETS, GRADLE_VARIABLE_MODES } from "./validationUtils.js";
+
+/**
+ * Repository configuration (.flavorflow.yml) utilities
+ */
+
+export const DEFAULT_CONFIG_FILES = ['.flavorflow.yml', '.flavorflow.yaml'];
+
+// Module paths are relative to the app module, theme_dir to the package directory
+const DEFAULT_CONFIG = {
+  app_module: null,
+  manifest: 'src/main/AndroidManifest.xml',
+  resources_dir: 'src/main/res',
+  source_dirs: ['src/main/java', 'src/main/kotlin'],
+  theme_dir: null,
+  logo_dir: './assets/logos',
+  icon_name: 'ic_launcher',
+  env_prefix: 'FLAVORFLOW_',
+  variable_prefix: '',
+  steps: null,
+  skip_steps: [],
+  project_type: null,
+  assets_destination: null,
+  assets_source: null,
+  validation_mode: null,
+  gradle_variables: null,
+  asset_targets: {}
+};
+
+const PATH_KEYS = ['app_module', 'manifest', 'resources_dir', 'theme_dir', 'logo_dir', 'assets_destination', 'assets_source'];
+const STEP_LIST_KEYS = ['steps', 'skip_steps'];
+const ICON_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const ENV_PREFIX_PATTERN = /^([A-Z_][A-Z0-9_]*)?$/;
+
+let repoConfig = { ...DEFAULT_CONFIG };
+let repoConfigFile = null;
+
+/**
+ * Loads, validates and activates the repository configuration
+ * @param {string} [configFile] - Explicit config file path; otherwise .flavorflow.yml/.yaml in the working directory
+ * @returns {Object} - Active configuration with defaults applied
+ */
+export function loadRepoConfig(configFile) {
+  const configPath = configFile || DEFAULT_CONFIG_FILES.find(file => fs.existsSync(file));
+  
+  if (!configPath) {
+    core.debug("No .flavorflow.yml found, using the default repository layout");
+    repoConfig = { ...DEFAULT_CONFIG };
+    repoConfigFile = null;
+    return repoConfig;
+  }
+  
+  let document;
+  try {
+    document = parseYaml(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read repository config ${configPath}: ${error.message}`);
+  }
+  
+  const problems = validateRepoConfig(document ?? {});
+  if (problems.length > 0) {
+    const details = problems.map(problem => `  ${problem}`).join('\n');
+    throw new Error(`Invalid repository config ${configPath}:\n${details}`);
+  }
+  
+  repoConfig = { ...DEFAULT_CONFIG, ...document };
+  repoConfigFile = configPath;
+  core.info(`✓ Loaded repository config from ${configPath}`);
+  return repoConfig;
+}
+
+/**
+ * Returns the active repository configuration
+ * @returns {Object}
+ */
+export function getRepoConfig() {
+  return repoConfig;
+}
+
+/**
+ * Returns the path of the loaded config file, or null when defaults are used
+ * @returns {string|null}
+ */
+export function getRepoConfigFile() {
+  return repoConfigFile;
+}
+
+/**
+ * Resolves an action input, falling back to the repository config. Inputs win.
+ * @param {string} inputValue - Value read from the action input
+ * @param {string} configKey - Key in the repository config
+ * @returns {*}
+ */
+export function resolveSetting(inputValue, configKey) {
+  if (inputValue !== undefined && inputValue !== null && inputValue !== '') {
+    return inputValue;
+  }
+  return repoConfig[configKey] ?? inputValue;
+}
+
+/**
+ * Path of the Android resources directory of an app module
+ * @param {string} appModule - Path to the Android app module
+ * @returns {string}
+ */
+export function getResourcesDir(appModule) {
+  return path.join(appModule, repoConfig.resources_dir);
+}
+
+/**
+ * Path of the AndroidManifest.xml of an app module
+ * @param {string} appModule - Path to the Android app module
+ * @returns {string}
+ */
+export function getManifestPath(appModule) {
+  return path.join(appModule, repoConfig.manifest);
+}
+
+/**
+ * Validates a parsed repository config document
+ * @param {Object} document - Parsed YAML document
+ * @returns {string[]} - Problems found
+ */
+export function validateRepoConfig(document) {
+  const problems = [];
+  
+  if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+    return ['config must be a YAML mapping'];
+  }
+  
+  for (const [key, value] of Object.entries(document)) {
+    if (!(key in DEFAULT_CONFIG)) {
+      problems.push(`${key}: unknown setting (supported: ${Object.keys(DEFAULT_CONFIG).join(', ')})`);
+    } else if (PATH_KEYS.includes(key)) {
+      if (typeof value !== 'string' || value.trim() === '') {
+        problems.push(`${key}: must be a non-empty path`);
+      }
+    } else if (key === 'source_dirs') {
+      if (!Array.isArray(value) || value.length === 0 || value.some(dir => typeof dir !== 'string' || dir.trim() === '')) {
+        problems.push(`${key}: must be a non-empty list of paths`);
+      }
+    } else if (STEP_LIST_KEYS.includes(key)) {
+      if (!Array.isArray(value)) {
+        problems.push(`${key}: must be a list of steps`);
+        continue;
+      }
+      const unknownSteps = value.filter(step => !PIPELINE_STEPS.includes(step));
+      if (unknownSteps.length > 0) {
+        problems.push(`${key}: unknown steps ${unknownSteps.join(', ')} (supported: ${PIPELINE_STEPS.join(', ')})`);
+      }
+    } else if (key === 'icon_name') {
+      if (typeof value !== 'string' || !ICON_NAME_PATTERN.test(value)) {
+        problems.push(`${key}: must be a lowercase Android resource name like ic_launcher`);
+      }
+    } else if (key === 'env_prefix' || key === 'variable_prefix') {
+      if (typeof value !== 'string' || !ENV_PREFIX_PATTERN.test(value)) {
+        problems.push(`${key}: must contain only uppercase letters, digits and underscores, not starting with a digit`);
+      }
+    } else if (key === 'validation_mode') {
+      if (!VALIDATION_MODES.includes(value)) {
+        problems.push(`${key}: must be one of ${VALIDATION_MODES.join(', ')}`);
+      }
+    } else if (key === 'gradle_variables') {
+      if (!GRADLE_VARIABLE_MODES.includes(value)) {
+        problems.push(`${key}: must be one of ${GRADLE_VARIABLE_MODES.join(', ')}`);
+      }
+    } else if (key === 'project_type') {
+      if (typeof value !== 'string' || value.trim() === '') {
+        problems.push(`${key}: must be a project type name`);
+      }
+    } else if (key === 'asset_targets') {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${key}: must be a mapping of asset names to ${ASSET_TARGETS.join(', ')}`);
+        continue;
+      }
+      for (const [assetName, target] of Object.entries(value)) {
+        if (!ASSET_TARGETS.includes(target)) {
+          problems.push(`${key}.${assetName}: must be one of ${ASSET_TARGETS.join(', ')}`);
+        }
+      }
+    }
+  }
+  
+  return problems;
+}
@@ -0,0 +1,173 @@
+/**
+ * Unified diff utilities used to preview changes in dry-run mode
+ */
+
+// Above this many cells the LCS table gets too large; the changed region is
+// then shown as a single removal followed by a single addition.
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Creates a unified diff between two versions of a text file
+ * @param {string} oldPath - Path shown for the original file
+ * @param {string} newPath - Path shown for the updated file
+ * @param {string|null} before - Original content, or null if the file did not exist
+ * @param {string|null} after - Updated content, or null if the file is deleted
+ * @param {number} context - Number of unchanged context lines around each change
+ * @returns {string} - Unified diff, or an empty string when nothing changed
+ */
+export function createUnifiedDiff(oldPath, newPath, before, after, context = 3) {
+  if (before === after) {
+    return '';
+  }
+  
+  const oldLines = splitLines(before);
+  const newLines = splitLines(after);
+  const edits = diffLines(oldLines, newLines);
+  
+  const header = [
+    `--- ${before === null ? '/dev/null' : `a/${oldPath}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${newPath}`}`
+  ];
+  
+  return [...header, ...buildHunks(edits, context)].join('\n');
+}
+
+function splitLines(content) {
+  if (content === null || content === '') {
+    return [];
+  }
+  
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+function diffLines(oldLines, newLines) {
+  // Strip the common prefix and suffix so the LCS only covers the changed region
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  
+  const edits = [];
+  for (let i = 0; i < start; i++) {
+    edits.push({ type: ' ', line: oldLines[i] });
+  }
+  
+  edits.push(...diffRegion(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd)));
+  
+  for (let i = oldEnd; i < oldLines.length; i++) {
+    edits.push({ type: ' ', line: oldLines[i] });
+  }
+  
+  return edits;
+}
+
+function diffRegion(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+  
+  if (rows * cols > MAX_LCS_CELLS) {
+    return [
+      ...oldLines.map(line => ({ type: '-', line })),
+      ...newLines.map(line => ({ type: '+', line }))
+    ];
+  }
+  
+  // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] = oldLines[i] === newLines[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+  
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      edits.push({ type: ' ', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      edits.push({ type: '-', line: oldLines[i] });
+      i++;
+    } else {
+      edits.push({ type: '+', line: newLines[j] });
+      j++;
+    }
+  }
+  while (i < rows) {
+    edits.push({ type: '-', line: oldLines[i++] });
+  }
+  while (j < cols) {
+    edits.push({ type: '+', line: newLines[j++] });
+  }
+  
+  return edits;
+}
+
+function buildHunks(edits, context) {
+  const output = [];
+  let index = 0;
+  let oldLine = 1;
+  let newLine = 1;
+  
+  while (index < edits.length) {
+    // Skip unchanged lines until the next change
+    if (edits[index].type === ' ') {
+      index++;
+      oldLine++;
+      newLine++;
+      continue;
+    }
+    
+    // Extend the hunk backwards for leading context
+    const leading = Math.min(context, index, oldLine - 1);
+    const hunkStart = index - leading;
+    const hunkOldStart = oldLine - leading;
+    const hunkNewStart = newLine - leading;
+    
+    // Extend forwards while changes are within 2 * context lines of each other
+    let hunkEnd = index;
+    let unchangedRun = 0;
+    while (hunkEnd < edits.length && unchangedRun <= context * 2) {
+      unchangedRun = edits[hunkEnd].type === ' ' ? unchangedRun + 1 : 0;
+      hunkEnd++;
+    }
+    hunkEnd -= Math.max(0, unchangedRun - context);
+    
+    const lines = edits.slice(hunkStart, hunkEnd);
+    const oldCount = lines.filter(edit => edit.type !== '+').length;
+    const newCount = lines.filter(edit => edit.type !== '-').length;
+    
+    output.push(`@@ -${formatRange(hunkOldStart, oldCount)} +${formatRange(hunkNewStart, newCount)} @@`);
+    output.push(...lines.map(edit => `${edit.type}${edit.line}`));
+    
+    oldLine = hunkOldStart + oldCount;
+    newLine = hunkNewStart + newCount;
+    index = hunkEnd;
+  }
+  
+  return output;
+}
+
+function formatRange(start, count) {
+  if (count === 0) {
+    return `${start - 1},0`;
+  }
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
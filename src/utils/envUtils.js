@@ -0,0 +1,245 @@
+import * as core from "../adapters/index.js";
+
+/**
+ * Environment variable utilities shared by all pipeline steps
+ */
+
+const ENV_NAME_PATTERN = /^[A-Z_][A-Z0-9_]*$/;
+
+// Variables the runner, the shell or the build tools rely on; a flavor must not replace them
+const PROTECTED_VARIABLES = [
+  'PATH', 'HOME', 'USER', 'SHELL', 'PWD', 'TMPDIR', 'TEMP', 'TMP', 'LANG', 'CI',
+  'NODE_OPTIONS', 'JAVA_HOME', 'JAVA_TOOL_OPTIONS', 'ANDROID_HOME', 'ANDROID_SDK_ROOT',
+  'GRADLE_OPTS', 'GRADLE_USER_HOME', 'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY'
+];
+const PROTECTED_PREFIXES = ['GITHUB_', 'RUNNER_', 'ACTIONS_', 'INPUT_', 'LD_', 'DYLD_'];
+
+// Types a flavor variable can declare for Gradle; otherwise inferred from its value
+export const VARIABLE_TYPES = ['String', 'boolean', 'int', 'long'];
+const INTEGER_RANGES = {
+  int: [-(2n ** 31n), 2n ** 31n - 1n],
+  long: [-(2n ** 63n), 2n ** 63n - 1n]
+};
+
+// Prefix of the variables named after flavor variables and assets
+let variablePrefix = '';
+// name -> what set it, in export order
+const exportedVariables = new Map();
+// Names whose values are masked and never listed in summaries or reports
+const secretVariables = new Set();
+// Values registered with setSecret, replaced by *** in messages
+const secretValues = new Set();
+// Patterns from secret-variables, matched against flavor keys and variable names
+let secretPatterns = [];
+
+/**
+ * Sets the prefix of the variables named after flavor variables and assets
+ * @param {string} [prefix] - Uppercase letters, digits and underscores; empty for none
+ */
+export function setVariablePrefix(prefix) {
+  if (prefix && !ENV_NAME_PATTERN.test(prefix)) {
+    throw new Error(`Invalid variable-prefix: ${prefix}. Use uppercase letters, digits and underscores, not starting with a digit`);
+  }
+  variablePrefix = prefix || '';
+}
+
+/**
+ * Sets the patterns of the variables treated as secrets on top of those marked "secret": true
+ * @param {string[]} patterns - Variable names or globs with * wildcards, case-insensitive
+ */
+export function setSecretPatterns(patterns) {
+  secretPatterns = patterns.map(pattern => new RegExp(
+    `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`,
+    'i'
+  ));
+}
+
+/**
+ * Tells whether a flavor variable matches one of the secret-variables patterns
+ * @param {string} name - Key in flavor.variables
+ * @param {string} envName - Environment variable named after it
+ * @returns {boolean}
+ */
+export function matchesSecretPattern(name, envName) {
+  return secretPatterns.some(pattern => pattern.test(name) || (envName !== null && pattern.test(envName)));
+}
+
+/**
+ * Normalizes a flavor variable: either a plain value or { value, secret, type }
+ * @param {*} variable - Entry from flavor.variables
+ * @returns {{value: *, secret: boolean, type: string|null}}
+ */
+export function normalizeVariableSpec(variable) {
+  if (variable !== null && typeof variable === 'object' && !Array.isArray(variable)) {
+    return { value: variable.value ?? '', secret: variable.secret === true, type: variable.type ?? null };
+  }
+  return { value: variable, secret: false, type: null };
+}
+
+/**
+ * Tells whether a flavor variable is a secret, by its "secret" flag or a secret-variables pattern
+ * @param {string} name - Key in flavor.variables
+ * @param {*} variable - Entry from flavor.variables
+ * @returns {boolean}
+ */
+export function isSecretVariable(name, variable) {
+  return normalizeVariableSpec(variable).secret || matchesSecretPattern(name, getFlavorVariableName(name));
+}
+
+/**
+ * Works out the Gradle type of a flavor variable and its value as written in
+ * source: the declared type, or else boolean for booleans, int or long for
+ * whole numbers and String for everything else
+ * @param {*} value - Variable value
+ * @param {string|null} [type] - Declared type from VARIABLE_TYPES
+ * @returns {{type: string, value: string}}
+ */
+export function resolveVariableType(value, type = null) {
+  const resolvedType = type ?? inferVariableType(value);
+  const text = String(value);
+  
+  if (resolvedType === 'String') {
+    return { type: resolvedType, value: text };
+  }
+  if (resolvedType === 'boolean') {
+    if (text !== 'true' && text !== 'false') {
+      throw new Error(`${JSON.stringify(value)} is not a boolean`);
+    }
+    return { type: resolvedType, value: text };
+  }
+  if (!INTEGER_RANGES[resolvedType]) {
+    throw new Error(`unknown type ${JSON.stringify(type)} (supported: ${VARIABLE_TYPES.join(', ')})`);
+  }
+  if (!/^-?\d+$/.test(text)) {
+    throw new Error(`${JSON.stringify(value)} is not a whole number`);
+  }
+  const [min, max] = INTEGER_RANGES[resolvedType];
+  if (BigInt(text) < min || BigInt(text) > max) {
+    throw new Error(`${text} is out of the ${resolvedType} range`);
+  }
+  return { type: resolvedType, value: BigInt(text).toString() };
+}
+
+function inferVariableType(value) {
+  if (typeof value === 'boolean') {
+    return 'boolean';
+  }
+  if (Number.isSafeInteger(value)) {
+    const [min, max] = INTEGER_RANGES.int;
+    return BigInt(value) >= min && BigInt(value) <= max ? 'int' : 'long';
+  }
+  return 'String';
+}
+
+/**
+ * Registers a value with the platform so it is masked in every log line, and
+ * remembers it for maskSecrets(). Each line of a multi-line value is
+ * registered as well, since the runner masks logs line by line.
+ * @param {string} value - Secret value
+ */
+export function registerSecret(value) {
+  const secret = String(value ?? '');
+  if (secret.trim() === '') {
+    return;
+  }
+  for (const part of new Set([secret, ...secret.split(/\r?\n/).filter(line => line.trim() !== '')])) {
+    core.setSecret(part);
+    secretValues.add(part);
+  }
+}
+
+/**
+ * Replaces every registered secret value in a message with ***, for text that
+ * ends up in files the runner does not mask, like the report
+ * @param {string} message - Text that may contain secrets
+ * @returns {string}
+ */
+export function maskSecrets(message) {
+  let masked = String(message);
+  // Longest first, so a secret containing another one is masked as a whole
+  for (const secret of Array.from(secretValues).sort((a, b) => b.length - a.length)) {
+    masked = masked.split(secret).join('***');
+  }
+  return masked;
+}
+
+/**
+ * Turns a flavor key into a valid environment variable name: uppercase, with
+ * every other character run replaced by an underscore (api-url becomes API_URL)
+ * @param {string} name - Flavor variable, asset or theme key
+ * @returns {string|null} - Variable name, null when the key has no letters or digits
+ */
+export function toEnvName(name) {
+  const envName = String(name).toUpperCase().replace(/[^A-Z0-9_]+/g, '_');
+  if (!/[A-Z0-9]/.test(envName)) {
+    return null;
+  }
+  return /^[0-9]/.test(envName) ? `_${envName}` : envName;
+}
+
+/**
+ * Name of the variable for a flavor variable or asset, with the variable prefix
+ * @param {string} name - Key in flavor.variables or flavor.assets
+ * @returns {string|null} - Variable name, null when the key has no letters or digits
+ */
+export function getFlavorVariableName(name) {
+  return toEnvName(name) ? toEnvName(`${variablePrefix}${name}`) : null;
+}
+
+/**
+ * Tells whether a variable belongs to the runner or the system and may not be set
+ * @param {string} name - Environment variable name
+ * @returns {boolean}
+ */
+export function isProtectedVariable(name) {
+  return PROTECTED_VARIABLES.includes(name) || PROTECTED_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+/**
+ * Exports an environment variable for subsequent workflow steps and records its
+ * name. A protected variable, or one already set by something else during this
+ * run, is not exported and a warning names both sources.
+ * @param {string} name - Environment variable name
+ * @param {string} value - Environment variable value
+ * @param {string} [source] - What the variable is for, e.g. "variable 'api-url'"
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.secret] - Mask the value and leave the name out of summaries and reports
+ * @returns {boolean} - Whether the variable was exported
+ */
+export function exportVariable(name, value, source = 'a built-in variable', { secret = false } = {}) {
+  if (isProtectedVariable(name)) {
+    core.warning(`Not setting ${name} for ${source}: it is a protected runner or system variable`);
+    return false;
+  }
+  
+  const setBy = exportedVariables.get(name);
+  if (setBy && setBy !== source) {
+    core.warning(`Not setting ${name} for ${source}: it is already set for ${setBy}`);
+    return false;
+  }
+  
+  // Registered before the export, so no later log line can show the value
+  if (secret) {
+    registerSecret(value);
+    secretVariables.add(name);
+  }
+  core.exportVariable(name, value);
+  exportedVariables.set(name, source);
+  return true;
+}
+
+/**
+ * Returns the names of the environment variables exported during this run, without secrets
+ * @returns {string[]}
+ */
+export function getExportedVariables() {
+  return Array.from(exportedVariables.keys()).filter(name => !secretVariables.has(name));
+}
+
+/**
+ * Returns how many secret variables were exported during this run
+ * @returns {number}
+ */
+export function getSecretVariableCount() {
+  return secretVariables.size;
+}
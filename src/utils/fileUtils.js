@@ -1,19 +1,218 @@
 import * as fs from 'fs';
+import * as os from 'os';
 import * as path from 'path';
+import * as crypto from 'crypto';
+import { getRepoConfig } from './configUtils.js';
+import { getCurrentStep } from './stepUtils.js';
 
 /**
  * File utility functions for branding operations
  */
 
+// When dry-run is enabled every mutation below is recorded in `plannedFiles`
+// (resolved path -> string | Buffer | { scratchPath } | null for deleted) instead
+// of touching the tree, and reads/listings are answered from that overlay first
+// so later steps see the state earlier steps would have produced. Installed
+// downloads stay in the scratch directory as { scratchPath } and are only read
+// when a later step needs their bytes.
+let dryRun = false;
+const plannedFiles = new Map();
+const plannedDirectories = new Set();
+const fileOperations = [];
+
+// Outside dry-run every mutation first journals the original state of the path
+// it touches (file bytes, null for a file that did not exist, or a directory
+// marker) so a failed run can be rolled back to the exact starting tree.
+const journal = [];
+const journaledFiles = new Set();
+
+// Original state of every path changed since the last resetBaseline(). Unlike
+// the journal it is not cleared on success and keeps the state from before the
+// first change after the reset, which is what .flavorflow/state.json persists.
+const baseline = new Map();
+
+// Scratch files such as downloads in progress live in a directory outside the
+// tree, created on first use; they are never journaled or planned.
+let tempDirectory = null;
+
+/**
+ * Enables or disables dry-run mode for all file mutations
+ * @param {boolean} enabled - Whether mutations should only be recorded
+ */
+export function setDryRun(enabled) {
+  dryRun = Boolean(enabled);
+}
+
+export function isDryRun() {
+  return dryRun;
+}
+
+/**
+ * Returns the ordered list of file operations performed (or planned in dry-run)
+ * @returns {Array<{type: string, path: string, from?: string, existed: boolean, step: string|null}>}
+ */
+export function getFileOperations() {
+  return fileOperations.map(operation => ({ ...operation }));
+}
+
+/**
+ * Returns the final planned content of every file touched in dry-run mode
+ * @returns {Array<{path: string, content: string|Buffer|{scratchPath: string}|null}>} - null content means
+ *   deleted, { scratchPath } a download kept in the scratch directory
+ */
+export function getPlannedFiles() {
+  return Array.from(plannedFiles.entries()).map(([filePath, content]) => ({
+    path: path.relative('.', filePath),
+    content
+  }));
+}
+
+function recordOperation(type, filePath, from, existed = true) {
+  const operation = { type, path: path.normalize(filePath), existed, step: getCurrentStep() };
+  if (from) {
+    operation.from = path.normalize(from);
+  }
+  fileOperations.push(operation);
+}
+
+function journalFile(filePath) {
+  const key = path.resolve(filePath);
+  if (dryRun || (journaledFiles.has(key) && baseline.has(key))) {
+    return;
+  }
+  
+  const entry = {
+    kind: 'file',
+    path: key,
+    content: fs.existsSync(key) ? fs.readFileSync(key) : null
+  };
+  if (!baseline.has(key)) {
+    baseline.set(key, entry);
+  }
+  if (!journaledFiles.has(key)) {
+    journaledFiles.add(key);
+    journal.push(entry);
+  }
+}
+
+function journalDirectory(directory, created) {
+  const entry = { kind: 'directory', path: directory, created };
+  journal.push(entry);
+  if (!baseline.has(directory)) {
+    baseline.set(directory, entry);
+  }
+}
+
+/**
+ * Restores every journaled path to its original state, newest change first
+ * @returns {number} - Number of journal entries restored
+ */
+export function rollbackChanges() {
+  let restored = 0;
+  const errors = [];
+  
+  for (const entry of journal.slice().reverse()) {
+    try {
+      if (entry.kind === 'directory' && entry.created) {
+        if (fs.existsSync(entry.path) && fs.readdirSync(entry.path).length === 0) {
+          fs.rmdirSync(entry.path);
+        }
+      } else if (entry.kind === 'directory') {
+        fs.mkdirSync(entry.path, { recursive: true });
+      } else if (entry.content === null) {
+        if (fs.existsSync(entry.path)) {
+          fs.unlinkSync(entry.path);
+        }
+      } else {
+        fs.mkdirSync(path.dirname(entry.path), { recursive: true });
+        fs.writeFileSync(entry.path, entry.content);
+      }
+      restored++;
+    } catch (error) {
+      errors.push(`${entry.path}: ${error.message}`);
+    }
+  }
+  
+  clearJournal();
+  
+  if (errors.length > 0) {
+    throw new Error(`Rollback incomplete, could not restore:\n${errors.join('\n')}`);
+  }
+  return restored;
+}
+
+/**
+ * Forgets all journaled changes, e.g. once a run has completed successfully
+ */
+export function clearJournal() {
+  journal.length = 0;
+  journaledFiles.clear();
+}
+
+/**
+ * Treats the current tree as the baseline, e.g. after reverting a previous apply
+ */
+export function resetBaseline() {
+  baseline.clear();
+}
+
+/**
+ * Returns the original state of every path changed since the last resetBaseline()
+ * @returns {Array<Object>} - { kind: 'file', path, content } (content null for new files)
+ *   or { kind: 'directory', path, created } entries with absolute paths
+ */
+export function getBaselineEntries() {
+  return Array.from(baseline.values());
+}
+
+function plannedEntry(filePath) {
+  const key = path.resolve(filePath);
+  return plannedFiles.has(key) ? { content: plannedFiles.get(key) } : null;
+}
+
+export function pathExists(targetPath) {
+  if (dryRun) {
+    const key = path.resolve(targetPath);
+    const entry = plannedEntry(key);
+    if (entry) {
+      return entry.content !== null;
+    }
+    if (plannedDirectories.has(key)) {
+      return true;
+    }
+  }
+  return fs.existsSync(targetPath);
+}
+
 export function ensureDirectoryExists(dirPath) {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
+  if (pathExists(dirPath)) {
+    return;
+  }
+  
+  if (dryRun) {
+    // Walk up past directories that are missing or planned for removal
+    let current = path.resolve(dirPath);
+    while (!pathExists(current)) {
+      plannedFiles.delete(current);
+      plannedDirectories.add(current);
+      current = path.dirname(current);
+    }
+    return;
+  }
+  
+  const created = [];
+  for (let current = path.resolve(dirPath); !fs.existsSync(current); current = path.dirname(current)) {
+    created.unshift(current);
+  }
+  fs.mkdirSync(dirPath, { recursive: true });
+  for (const directory of created) {
+    journalDirectory(directory, true);
   }
 }
 
 export function isTextFile(filePath) {
   try {
-    const buffer = fs.readFileSync(filePath);
+    const buffer = readFileBuffer(filePath);
     // Check for null bytes which indicate binary files
     for (let i = 0; i < Math.min(buffer.length, 8000); i++) {
       if (buffer[i] === 0) {
@@ -27,8 +226,23 @@ export function isTextFile(filePath) {
 }
 
 export function readFileContent(filePath) {
+  return readFileBuffer(filePath).toString('utf8');
+}
+
+export function readFileBuffer(filePath) {
+  const entry = dryRun ? plannedEntry(filePath) : null;
+  if (entry) {
+    if (entry.content === null) {
+      throw new Error(`Failed to read file ${filePath}: file is planned for deletion`);
+    }
+    if (isScratchReference(entry.content)) {
+      return fs.readFileSync(entry.content.scratchPath);
+    }
+    return Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content, 'utf8');
+  }
+  
   try {
-    return fs.readFileSync(filePath, 'utf8');
+    return fs.readFileSync(filePath);
   } catch (error) {
     throw new Error(`Failed to read file ${filePath}: ${error.message}`);
   }
@@ -36,14 +250,310 @@ export function readFileContent(filePath) {
 
 export function writeFileContent(filePath, content) {
   try {
-    ensureDirectoryExists(path.dirname(filePath));
-    fs.writeFileSync(filePath, content, 'utf8');
+    writeFile(filePath, content);
     return true;
   } catch (error) {
     throw new Error(`Failed to write file ${filePath}: ${error.message}`);
   }
 }
 
+export function writeFileBuffer(filePath, buffer) {
+  try {
+    writeFile(filePath, buffer);
+    return true;
+  } catch (error) {
+    throw new Error(`Failed to write file ${filePath}: ${error.message}`);
+  }
+}
+
+function writeFile(filePath, data) {
+  const existed = pathExists(filePath);
+  ensureDirectoryExists(path.dirname(filePath));
+  journalFile(filePath);
+  
+  if (dryRun) {
+    plannedFiles.set(path.resolve(filePath), data);
+  } else if (typeof data === 'string') {
+    fs.writeFileSync(filePath, data, 'utf8');
+  } else {
+    fs.writeFileSync(filePath, data);
+  }
+  
+  recordOperation(existed ? 'modify' : 'create', filePath, null, existed);
+}
+
+export function copyFile(sourcePath, destinationPath) {
+  try {
+    const existed = pathExists(destinationPath);
+    ensureDirectoryExists(path.dirname(destinationPath));
+    journalFile(destinationPath);
+    
+    if (dryRun) {
+      plannedFiles.set(path.resolve(destinationPath), readPlannedSource(sourcePath));
+    } else {
+      fs.copyFileSync(sourcePath, destinationPath);
+    }
+    
+    recordOperation('copy', destinationPath, sourcePath, existed);
+  } catch (error) {
+    throw new Error(`Failed to copy ${sourcePath} to ${destinationPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Moves a file, optionally replacing its content at the destination
+ * @param {string} sourcePath - File to move
+ * @param {string} destinationPath - New location of the file
+ * @param {string} [content] - Replacement content; the original bytes are kept when omitted
+ */
+export function moveFile(sourcePath, destinationPath, content) {
+  try {
+    const data = typeof content === 'string' ? content : dryRun ? readPlannedSource(sourcePath) : readFileBuffer(sourcePath);
+    const existed = pathExists(destinationPath);
+    ensureDirectoryExists(path.dirname(destinationPath));
+    journalFile(destinationPath);
+    journalFile(sourcePath);
+    
+    if (dryRun) {
+      plannedFiles.set(path.resolve(destinationPath), data);
+      plannedFiles.set(path.resolve(sourcePath), null);
+    } else {
+      fs.writeFileSync(destinationPath, data);
+      fs.unlinkSync(sourcePath);
+    }
+    
+    recordOperation('move', destinationPath, sourcePath, existed);
+  } catch (error) {
+    throw new Error(`Failed to move ${sourcePath} to ${destinationPath}: ${error.message}`);
+  }
+}
+
+export function removeFile(filePath) {
+  try {
+    journalFile(filePath);
+    
+    if (dryRun) {
+      plannedFiles.set(path.resolve(filePath), null);
+    } else {
+      fs.unlinkSync(filePath);
+    }
+    
+    recordOperation('delete', filePath);
+  } catch (error) {
+    throw new Error(`Failed to delete file ${filePath}: ${error.message}`);
+  }
+}
+
+export function removeDirectory(dirPath) {
+  if (dryRun) {
+    const key = path.resolve(dirPath);
+    plannedDirectories.delete(key);
+    plannedFiles.set(key, null);
+  } else {
+    fs.rmdirSync(dirPath);
+    journalDirectory(path.resolve(dirPath), false);
+  }
+  
+  recordOperation('rmdir', dirPath);
+}
+
+/**
+ * Registers a file that an external command (e.g. ImageMagick) is about to write
+ * @param {string} filePath - Path the command will write to
+ * @returns {boolean} - False in dry-run mode, meaning the command must not be run
+ */
+export function beginExternalWrite(filePath) {
+  const existed = pathExists(filePath);
+  ensureDirectoryExists(path.dirname(filePath));
+  journalFile(filePath);
+  recordOperation(existed ? 'modify' : 'create', filePath, null, existed);
+  
+  if (dryRun) {
+    plannedFiles.set(path.resolve(filePath), Buffer.alloc(0));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Moves a finished file from outside the tree (e.g. a download) to its
+ * destination. The destination is replaced by a rename, so it never holds a
+ * partial file.
+ * @param {string} sourcePath - Scratch file to move, see getTempPath()
+ * @param {string} destinationPath - Path in the tree
+ */
+export function installFile(sourcePath, destinationPath) {
+  try {
+    const existed = pathExists(destinationPath);
+    ensureDirectoryExists(path.dirname(destinationPath));
+    journalFile(destinationPath);
+    
+    if (dryRun) {
+      // Moved to a scratch path of its own, as the caller removes the source when it is done
+      const scratchPath = getTempPath(path.basename(destinationPath));
+      fs.renameSync(sourcePath, scratchPath);
+      plannedFiles.set(path.resolve(destinationPath), { scratchPath });
+    } else {
+      renameIntoPlace(sourcePath, destinationPath);
+    }
+    
+    recordOperation(existed ? 'modify' : 'create', destinationPath, null, existed);
+  } catch (error) {
+    throw new Error(`Failed to install ${destinationPath}: ${error.message}`);
+  }
+}
+
+function isScratchReference(content) {
+  return content !== null && typeof content === 'object' && !Buffer.isBuffer(content);
+}
+
+// Planned content of a file being copied or moved, keeping a download in the scratch directory
+function readPlannedSource(sourcePath) {
+  const entry = plannedEntry(sourcePath);
+  return entry && isScratchReference(entry.content) ? entry.content : readFileBuffer(sourcePath);
+}
+
+function renameIntoPlace(sourcePath, destinationPath) {
+  try {
+    fs.renameSync(sourcePath, destinationPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    // Across file systems the copy goes next to the destination first, so the final rename stays atomic
+    const partialPath = `${destinationPath}.${process.pid}.partial`;
+    try {
+      fs.copyFileSync(sourcePath, partialPath);
+      fs.renameSync(partialPath, destinationPath);
+    } catch (copyError) {
+      fs.rmSync(partialPath, { force: true });
+      throw copyError;
+    }
+    fs.unlinkSync(sourcePath);
+  }
+}
+
+/**
+ * Returns a new path in the scratch directory (RUNNER_TEMP or the system temp
+ * directory). The file itself is not created.
+ * @param {string} name - Name the path ends with, for readable logs
+ * @returns {string}
+ */
+export function getTempPath(name) {
+  if (!tempDirectory) {
+    tempDirectory = fs.mkdtempSync(path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'flavorflow-'));
+  }
+  return path.join(tempDirectory, `${crypto.randomUUID()}-${path.basename(name)}`);
+}
+
+/**
+ * Removes the scratch directory and anything left in it
+ */
+export function removeTempFiles() {
+  if (tempDirectory) {
+    fs.rmSync(tempDirectory, { recursive: true, force: true });
+    tempDirectory = null;
+  }
+}
+
+/**
+ * Computes the SHA-256 of a file without reading it into memory at once
+ * @param {string} filePath - File on disk
+ * @returns {string} - Hex encoded hash
+ */
+export function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  const chunk = Buffer.alloc(1024 * 1024);
+  const descriptor = fs.openSync(filePath, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(descriptor, chunk, 0, chunk.length, null)) > 0) {
+      hash.update(chunk.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(descriptor);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Lists the immediate children of a directory, honouring planned changes
+ * @param {string} directory - Directory to list
+ * @returns {string[]} - Entry names
+ */
+export function listDirectory(directory) {
+  const entries = new Set(fs.existsSync(directory) ? fs.readdirSync(directory) : []);
+  
+  if (dryRun) {
+    const root = path.resolve(directory);
+    const planned = [
+      ...Array.from(plannedFiles.entries()),
+      ...Array.from(plannedDirectories).map(dir => [dir, true])
+    ];
+    for (const [plannedPath, content] of planned) {
+      if (path.dirname(plannedPath) !== root) {
+        continue;
+      }
+      const name = path.basename(plannedPath);
+      if (content === null) {
+        entries.delete(name);
+      } else {
+        entries.add(name);
+      }
+    }
+  }
+  
+  // Sorted so real and dry runs (where planned entries are appended) walk in the same order
+  return Array.from(entries).sort();
+}
+
+/**
+ * Recursively lists the files below a directory, honouring planned changes
+ * @param {string} directory - Directory to walk
+ * @returns {string[]} - File paths relative to the directory
+ */
+export function listFilesRecursive(directory) {
+  const files = [];
+  
+  function walkDir(dir, relativeDir) {
+    for (const item of listDirectory(dir)) {
+      const fullPath = path.join(dir, item);
+      const relativePath = relativeDir ? path.join(relativeDir, item) : item;
+      
+      if (isDirectory(fullPath)) {
+        walkDir(fullPath, relativePath);
+      } else {
+        files.push(relativePath);
+      }
+    }
+  }
+  
+  try {
+    if (pathExists(directory)) {
+      walkDir(directory, '');
+    }
+  } catch (error) {
+    // Skip directories we can't read
+  }
+  
+  return files;
+}
+
+function isDirectory(targetPath) {
+  const key = path.resolve(targetPath);
+  if (dryRun && plannedDirectories.has(key)) {
+    return true;
+  }
+  if (dryRun && plannedFiles.has(key)) {
+    return false;
+  }
+  try {
+    return fs.statSync(targetPath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
 export function findFiles(directory, pattern) {
   const files = [];
   
@@ -52,6 +562,10 @@ export function findFiles(directory, pattern) {
       const items = fs.readdirSync(dir);
       for (const item of items) {
         const fullPath = path.join(dir, item);
+        // Baseline copies kept by a previous apply are not part of the project
+        if (item === '.flavorflow') {
+          continue;
+        }
         const stat = fs.statSync(fullPath);
         
         if (stat.isDirectory()) {
@@ -73,6 +587,11 @@ export function findFiles(directory, pattern) {
 }
 
 export function findAndroidAppModule() {
+  const configuredModule = getRepoConfig().app_module;
+  if (configuredModule) {
+    return configuredModule;
+  }
+  
   const buildFiles = findFiles('.', /^build\.gradle(\.kts)?$/);
   
   for (const buildFile of buildFiles) {
@@ -108,27 +627,26 @@ function isAndroidApplicationPlugin(content) {
 }
 
 export function cleanupEmptyDirectories(directory) {
-  if (!fs.existsSync(directory)) {
+  if (!pathExists(directory)) {
     return;
   }
   
   try {
-    const items = fs.readdirSync(directory);
+    const items = listDirectory(directory);
     
     // First, recursively clean up subdirectories
     for (const item of items) {
       const fullPath = path.join(directory, item);
-      const stat = fs.statSync(fullPath);
       
-      if (stat.isDirectory()) {
+      if (isDirectory(fullPath)) {
         cleanupEmptyDirectories(fullPath);
       }
     }
     
     // Check if directory is now empty
-    const remainingItems = fs.readdirSync(directory);
+    const remainingItems = listDirectory(directory);
     if (remainingItems.length === 0) {
-      fs.rmdirSync(directory);
+      removeDirectory(directory);
     }
   } catch (error) {
     // Ignore errors when cleaning up
@@ -0,0 +1,119 @@
+import * as core from "../adapters/index.js";
+import * as fs from "fs";
+import * as path from "path";
+import { parse as parseYaml } from "yaml";
+import { resolveAssetUrl } from "./assetUtils.js";
+import { fetchWithRetry } from "./httpUtils.js";
+
+/**
+ * Flavor loading utilities: inline JSON, a JSON/YAML file, or the FlavorFlow API
+ */
+
+/**
+ * Loads the flavor from the first configured source. Precedence is
+ * `flavor` (inline JSON), then `flavor-file`, then `flavor-id`.
+ * @param {Object} sources - Flavor sources from the action inputs
+ * @param {string} [sources.flavorJson] - Inline flavor JSON
+ * @param {string} [sources.flavorFile] - Path to a JSON or YAML flavor file
+ * @param {string} [sources.flavorId] - Flavor ID to fetch from the API
+ * @param {string} apiKey - API key used when fetching by ID
+ * @returns {Promise<Object>} - Flavor object with any `flavors` wrapper removed
+ */
+export async function loadFlavor({ flavorJson, flavorFile, flavorId }, apiKey) {
+  const configured = [
+    flavorJson && 'flavor',
+    flavorFile && 'flavor-file',
+    flavorId && 'flavor-id'
+  ].filter(Boolean);
+  
+  if (configured.length === 0) {
+    throw new Error("One of the flavor, flavor-file or flavor-id inputs is required");
+  }
+  if (configured.length > 1) {
+    core.warning(`Multiple flavor sources given (${configured.join(', ')}), using ${configured[0]}`);
+  }
+  
+  if (flavorJson) {
+    core.info("Loading flavor from the flavor input");
+    return requireFlavorObject(unwrapFlavor(parseFlavorDocument(flavorJson, 'json', 'flavor JSON')), 'flavor JSON');
+  }
+  
+  if (flavorFile) {
+    core.info(`Loading flavor from file: ${flavorFile}`);
+    return requireFlavorObject(unwrapFlavor(readFlavorFile(flavorFile)), `flavor file ${flavorFile}`);
+  }
+  
+  core.info(`Fetching flavor ${flavorId} from the FlavorFlow API`);
+  return requireFlavorObject(unwrapFlavor(await fetchFlavorById(flavorId, apiKey)), `flavor JSON returned for flavor ${flavorId}`);
+}
+
+/**
+ * Extracts the flavor from a `flavors` wrapper if present
+ * @param {Object} document - Parsed flavor document
+ * @returns {Object} - The flavor object
+ */
+export function unwrapFlavor(document) {
+  // Check if the JSON has a 'flavors' wrapper and extract the actual flavor data
+  if (document && document.flavors && typeof document.flavors === 'object') {
+    return document.flavors;
+  }
+  // Direct flavor object
+  return document;
+}
+
+// JSON null, a string or an array parse fine but cannot be applied
+function requireFlavorObject(flavor, description) {
+  if (flavor === null || typeof flavor !== 'object' || Array.isArray(flavor)) {
+    const type = flavor === null ? 'null' : Array.isArray(flavor) ? 'an array' : `a ${typeof flavor}`;
+    throw new Error(`Invalid ${description}: flavor must be a JSON object, got ${type}`);
+  }
+  return flavor;
+}
+
+function readFlavorFile(flavorFile) {
+  let content;
+  try {
+    content = fs.readFileSync(flavorFile, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read flavor file ${flavorFile}: ${error.message}`);
+  }
+  
+  const extension = path.extname(flavorFile).toLowerCase();
+  const format = extension === '.yml' || extension === '.yaml' ? 'yaml' : 'json';
+  return parseFlavorDocument(content, format, `flavor file ${flavorFile}`);
+}
+
+function parseFlavorDocument(content, format, description) {
+  try {
+    return format === 'yaml' ? parseYaml(content) : JSON.parse(content);
+  } catch (parseError) {
+    throw new Error(`Invalid ${description}: ${parseError.message}`);
+  }
+}
+
+async function fetchFlavorById(flavorId, apiKey) {
+  if (!apiKey) {
+    throw new Error("project-api-key input is required to fetch a flavor by ID");
+  }
+  
+  const url = resolveAssetUrl(`/api/flavors/${encodeURIComponent(flavorId)}`);
+  
+  let body;
+  try {
+    ({ body } = await fetchWithRetry(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Accept': 'application/json'
+      }
+    }));
+  } catch (error) {
+    throw new Error(`Failed to fetch flavor ${flavorId}: ${error.message}`);
+  }
+  
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new Error(`Invalid flavor JSON returned for flavor ${flavorId}: ${error.message}`);
+  }
+}
@@ -0,0 +1,306 @@
+import * as core from "../adapters/index.js";
+import * as path from "path";
+import { readFileContent, writeFileContent, pathExists, listDirectory } from "./fileUtils.js";
+import { getResourcesDir } from "./configUtils.js";
+import { toEnvName, normalizeVariableSpec, isSecretVariable, resolveVariableType } from "./envUtils.js";
+import { toResourceName } from "./resourceUtils.js";
+
+/**
+ * Gradle build script utilities: finds the app module's build file and writes
+ * flavor variables into its defaultConfig as buildConfigField and resValue
+ * entries, in Groovy or Kotlin DSL.
+ */
+
+// Build files of a module, in the order they are looked up
+export const GRADLE_BUILD_FILES = ['build.gradle', 'build.gradle.kts'];
+
+// The generated entries live between these lines, so a later run replaces them
+const BLOCK_START = '// BEGIN FlavorFlow variables (generated, do not edit)';
+const BLOCK_END = '// END FlavorFlow variables';
+
+// Resource type of a resValue per variable type; Android integers are 32-bit, so longs become strings
+const RES_VALUE_TYPES = { String: 'string', boolean: 'bool', int: 'integer', long: 'string' };
+
+/**
+ * Finds the Gradle build file of a module
+ * @param {string} appModule - Path to the Android app module
+ * @returns {string|null} - build.gradle or build.gradle.kts path, null when there is none
+ */
+export function findAppBuildFile(appModule) {
+  for (const buildFile of GRADLE_BUILD_FILES) {
+    const buildPath = path.join(appModule, buildFile);
+    if (pathExists(buildPath)) {
+      return buildPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Writes flavor variables into the defaultConfig of the app module's build
+ * file, replacing the entries of an earlier run. Secret variables are never
+ * written, since the build file is committed and BuildConfig ends up in the APK.
+ * @param {string} appModule - Path to the Android app module
+ * @param {Object} variables - Variables object from flavor configuration
+ * @param {string} mode - build-config, res-values or both
+ * @returns {number} - Number of entries written
+ */
+export function updateGradleVariables(appModule, variables, mode) {
+  const buildPath = findAppBuildFile(appModule);
+  if (!buildPath) {
+    throw new Error(`no build.gradle or build.gradle.kts found in ${appModule}`);
+  }
+  
+  const kotlinDsl = buildPath.endsWith('.kts');
+  const existingResources = readDefinedResources(appModule);
+  const fieldNames = new Map();
+  const resourceNames = new Map();
+  const lines = [];
+  let fieldCount = 0;
+  
+  for (const [varName, variable] of Object.entries(variables || {})) {
+    if (isSecretVariable(varName, variable)) {
+      core.warning(`Not writing secret variable '${varName}' to ${buildPath}`);
+      continue;
+    }
+    
+    const { value, type: declaredType } = normalizeVariableSpec(variable);
+    let resolved;
+    try {
+      resolved = resolveVariableType(value, declaredType);
+    } catch (error) {
+      core.warning(`Not writing variable '${varName}' to ${buildPath}: ${error.message}`);
+      continue;
+    }
+    
+    if (mode === 'build-config' || mode === 'both') {
+      const fieldName = toEnvName(varName);
+      if (!fieldName) {
+        core.warning(`Variable '${varName}' has no letters or digits to name a BuildConfig field after, not writing one`);
+      } else if (fieldNames.has(fieldName)) {
+        core.warning(`Not writing BuildConfig.${fieldName} for variable '${varName}': it is already written for '${fieldNames.get(fieldName)}'`);
+      } else {
+        fieldNames.set(fieldName, varName);
+        lines.push(formatCall('buildConfigField', [resolved.type, fieldName, toJavaLiteral(resolved)], kotlinDsl));
+        fieldCount++;
+      }
+    }
+    
+    if (mode === 'res-values' || mode === 'both') {
+      const resourceType = RES_VALUE_TYPES[resolved.type];
+      const resourceName = toResourceName(varName);
+      const key = `${resourceType}/${resourceName}`;
+      if (existingResources.has(key)) {
+        core.warning(`Not writing resValue ${key} for variable '${varName}': ${existingResources.get(key)} already defines it`);
+      } else if (resourceNames.has(key)) {
+        core.warning(`Not writing resValue ${key} for variable '${varName}': it is already written for '${resourceNames.get(key)}'`);
+      } else {
+        resourceNames.set(key, varName);
+        const resourceValue = resourceType === 'string' ? escapeStringResource(resolved.value) : resolved.value;
+        lines.push(formatCall('resValue', [resourceType, resourceName, resourceValue], kotlinDsl));
+      }
+    }
+  }
+  
+  const content = readFileContent(buildPath);
+  const updatedContent = replaceGeneratedBlock(content, lines, buildPath);
+  if (updatedContent !== content) {
+    writeFileContent(buildPath, updatedContent);
+  }
+  core.info(`✓ Wrote ${fieldCount} BuildConfig fields and ${lines.length - fieldCount} resValues to ${buildPath}`);
+  
+  if (fieldCount > 0 && !isBuildConfigEnabled(updatedContent, appModule)) {
+    core.warning(`${buildPath} does not enable buildFeatures { buildConfig = true }, which Android Gradle Plugin 8 and later need for buildConfigField`);
+  }
+  return lines.length;
+}
+
+/**
+ * Tells whether the app module's build file contains the generated block
+ * @param {string} appModule - Path to the Android app module
+ * @returns {boolean}
+ */
+export function hasGradleVariables(appModule) {
+  const buildPath = findAppBuildFile(appModule);
+  return buildPath !== null && readFileContent(buildPath).includes(BLOCK_START);
+}
+
+/**
+ * Removes the generated block and, when there are entries, adds it again at
+ * the end of defaultConfig with the indentation of the block's other lines
+ * @param {string} content - Build file content
+ * @param {string[]} lines - Generated entries
+ * @param {string} buildPath - Build file path used in messages
+ * @returns {string}
+ */
+function replaceGeneratedBlock(content, lines, buildPath) {
+  const blockPattern = new RegExp(`^[ \\t]*${escapeRegex(BLOCK_START)}[^\\n]*\\n[\\s\\S]*?^[ \\t]*${escapeRegex(BLOCK_END)}[^\\n]*(\\n|$)`, 'm');
+  const stripped = content.replace(blockPattern, '');
+  if (lines.length === 0) {
+    return stripped;
+  }
+  
+  const block = findBlock(stripped, 'defaultConfig');
+  if (!block) {
+    throw new Error(`no defaultConfig block found in ${buildPath}`);
+  }
+  
+  const lineStart = stripped.lastIndexOf('\n', block.close - 1) + 1;
+  const beforeClose = stripped.slice(lineStart, block.close);
+  const closeIndent = /^[ \t]*/.exec(stripped.slice(lineStart))[0];
+  const firstInnerLine = /\n([ \t]+)\S/.exec(stripped.slice(block.open, block.close));
+  const indent = firstInnerLine ? firstInnerLine[1] : `${closeIndent}    `;
+  const generated = [BLOCK_START, ...lines, BLOCK_END].map(line => `${indent}${line}\n`).join('');
+  
+  // A closing brace on its own line gets the block above it, "defaultConfig { ... }" on one line is split
+  if (beforeClose.trim() === '') {
+    return stripped.slice(0, lineStart) + generated + stripped.slice(lineStart);
+  }
+  return `${stripped.slice(0, block.close).trimEnd()}\n${generated}${closeIndent}${stripped.slice(block.close)}`;
+}
+
+/**
+ * Finds a named block by matching braces, skipping strings and comments
+ * @param {string} content - Build file content
+ * @param {string} name - Block name, e.g. defaultConfig
+ * @returns {{open: number, close: number}|null} - Indexes of the opening and closing brace
+ */
+function findBlock(content, name) {
+  const header = new RegExp(`^${name}\\s*\\{`);
+  let open = -1;
+  let depth = 0;
+  for (let index = 0; index < content.length; index++) {
+    const skipTo = skipCommentOrString(content, index);
+    if (skipTo === -1) {
+      return null;
+    }
+    if (skipTo !== index) {
+      index = skipTo;
+      continue;
+    }
+    
+    if (open === -1) {
+      const match = content.startsWith(name, index) && !/\w/.test(content[index - 1] || '')
+        ? header.exec(content.slice(index, index + name.length + 200))
+        : null;
+      if (match) {
+        open = index + match[0].length - 1;
+        index = open;
+        depth = 1;
+      }
+    } else if (content[index] === '{') {
+      depth++;
+    } else if (content[index] === '}' && --depth === 0) {
+      return { open, close: index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Skips a comment or string literal starting at an index
+ * @param {string} content - Build file content
+ * @param {number} index - Current position
+ * @returns {number} - Last index of the comment or string, the index itself when there is none, -1 when it is unterminated
+ */
+function skipCommentOrString(content, index) {
+  if (content.startsWith('//', index)) {
+    const end = content.indexOf('\n', index);
+    return end === -1 ? content.length : end;
+  }
+  if (content.startsWith('/*', index)) {
+    const end = content.indexOf('*/', index + 2);
+    return end === -1 ? -1 : end + 1;
+  }
+  for (const quote of ['"""', "'''"]) {
+    if (content.startsWith(quote, index)) {
+      const end = content.indexOf(quote, index + 3);
+      return end === -1 ? -1 : end + 2;
+    }
+  }
+  if (content[index] === '"' || content[index] === "'") {
+    return findStringEnd(content, index);
+  }
+  return index;
+}
+
+function findStringEnd(content, start) {
+  for (let index = start + 1; index < content.length; index++) {
+    if (content[index] === '\\') {
+      index++;
+    } else if (content[index] === content[start]) {
+      return index;
+    } else if (content[index] === '\n') {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Reads the resources already defined in the module's values folders, since
+ * a resValue with the same type and name fails the resource merge
+ * @param {string} appModule - Path to the Android app module
+ * @returns {Map<string, string>} - "type/name" -> file defining it
+ */
+function readDefinedResources(appModule) {
+  const resources = new Map();
+  const valuesDir = path.join(getResourcesDir(appModule), 'values');
+  for (const entry of listDirectory(valuesDir)) {
+    if (!entry.endsWith('.xml')) {
+      continue;
+    }
+    const filePath = path.join(valuesDir, entry);
+    for (const match of readFileContent(filePath).matchAll(/<(string|bool|integer)\s[^>]*name="([^"]+)"/g)) {
+      resources.set(`${match[1]}/${match[2]}`, filePath);
+    }
+  }
+  return resources;
+}
+
+function isBuildConfigEnabled(content, appModule) {
+  if (/buildConfig\s*(=\s*)?true/.test(content)) {
+    return true;
+  }
+  // The feature can also be switched on for every module in gradle.properties
+  return [path.join(appModule, '..', 'gradle.properties'), 'gradle.properties'].some(propertiesPath =>
+    pathExists(propertiesPath) && /^\s*android\.defaults\.buildfeatures\.buildconfig\s*=\s*true\s*$/m.test(readFileContent(propertiesPath))
+  );
+}
+
+function formatCall(method, args, kotlinDsl) {
+  return kotlinDsl
+    ? `${method}(${args.map(toKotlinString).join(', ')})`
+    : `${method} ${args.map(toGroovyString).join(', ')}`;
+}
+
+// Java source of a BuildConfig field value
+function toJavaLiteral({ type, value }) {
+  if (type === 'String') {
+    return `"${escapeControlCharacters(value.replace(/\\/g, '\\\\').replace(/"/g, '\\"'))}"`;
+  }
+  return type === 'long' ? `${value}L` : value;
+}
+
+// Android string resources treat quotes, backslashes and a leading @ or ? specially
+function escapeStringResource(value) {
+  const escaped = value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return /^[@?]/.test(escaped) ? `\\${escaped}` : escaped;
+}
+
+// Single-quoted Groovy strings are not interpolated
+function toGroovyString(value) {
+  return `'${escapeControlCharacters(value.replace(/\\/g, '\\\\').replace(/'/g, "\\'"))}'`;
+}
+
+function toKotlinString(value) {
+  return `"${escapeControlCharacters(value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\$/g, '\\$'))}"`;
+}
+
+function escapeControlCharacters(value) {
+  return value.replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+}
+
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
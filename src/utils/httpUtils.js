@@ -0,0 +1,330 @@
+import * as core from "../adapters/index.js";
+import * as fs from "fs";
+import * as tls from "tls";
+import { fetch, Headers, Agent, ProxyAgent } from "undici";
+
+/**
+ * HTTP utilities shared by every request to the FlavorFlow API and asset
+ * hosts: API base URL, extra headers, proxy, custom CA bundle, timeouts and retries.
+ */
+
+export const DEFAULT_API_BASE_URL = "https://api.flavorflow.io";
+export const DEFAULT_TIMEOUT_SECONDS = 30;
+export const DEFAULT_RETRIES = 3;
+
+// Exponential backoff: 1s, 2s, 4s, ... capped at 30s, plus up to 20% jitter
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+// A Retry-After longer than this is shortened rather than stalling the run
+const RETRY_AFTER_MAX_MS = 60000;
+const RETRYABLE_STATUSES = [408, 429];
+
+// RFC 7230 token characters
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+let apiBaseUrl = DEFAULT_API_BASE_URL;
+let extraHeaders = {};
+let proxyUrl = null;
+let noProxy = [];
+let timeoutMs = DEFAULT_TIMEOUT_SECONDS * 1000;
+let retries = DEFAULT_RETRIES;
+let directDispatcher;
+let proxyDispatcher;
+
+/**
+ * Configures the HTTP client for the rest of the run. The proxy defaults to
+ * HTTPS_PROXY / HTTP_PROXY (and honours NO_PROXY) like other runner tools.
+ * @param {Object} options - HTTP options from the action inputs
+ * @param {string} [options.baseUrl] - API base URL path-only URLs resolve against
+ * @param {Object} [options.headers] - Extra headers sent with every request
+ * @param {string} [options.proxy] - Proxy URL; overrides the proxy environment variables
+ * @param {string} [options.caFile] - PEM bundle trusted in addition to the built-in CAs
+ * @param {number} [options.timeout] - Seconds a request (including its body) may take
+ * @param {number} [options.retries] - Retries after a failed attempt in fetchWithRetry()
+ */
+export function configureHttp({ baseUrl, headers = {}, proxy, caFile, timeout = DEFAULT_TIMEOUT_SECONDS, retries: retryCount = DEFAULT_RETRIES } = {}) {
+  apiBaseUrl = baseUrl ? normalizeBaseUrl(baseUrl) : DEFAULT_API_BASE_URL;
+  extraHeaders = { ...headers };
+  timeoutMs = timeout * 1000;
+  retries = retryCount;
+  
+  proxyUrl = proxy || process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy || null;
+  if (proxyUrl && !/^https?:\/\//i.test(proxyUrl)) {
+    throw new Error(`Invalid proxy ${proxyUrl}: expected an http:// or https:// URL`);
+  }
+  noProxy = (process.env.NO_PROXY || process.env.no_proxy || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+  
+  let ca;
+  if (caFile) {
+    try {
+      ca = [...tls.rootCertificates, fs.readFileSync(caFile, 'utf8')];
+    } catch (error) {
+      throw new Error(`Failed to read ca-file ${caFile}: ${error.message}`);
+    }
+  }
+  
+  directDispatcher = ca ? new Agent({ connect: { ca } }) : undefined;
+  proxyDispatcher = proxyUrl ? new ProxyAgent({ uri: proxyUrl, requestTls: { ca }, proxyTls: { ca } }) : undefined;
+  
+  if (apiBaseUrl !== DEFAULT_API_BASE_URL) {
+    core.info(`Using API base URL ${apiBaseUrl}`);
+  }
+  if (proxyUrl) {
+    core.info(`Using proxy ${redactCredentials(proxyUrl)}${noProxy.length > 0 ? ` (NO_PROXY: ${noProxy.join(', ')})` : ''}`);
+  }
+  if (caFile) {
+    core.info(`Trusting additional certificates from ${caFile}`);
+  }
+}
+
+/**
+ * Returns the API base URL path-only URLs are resolved against
+ * @returns {string}
+ */
+export function getApiBaseUrl() {
+  return apiBaseUrl;
+}
+
+/**
+ * Parses the api-headers input: one "Name: value" header per line
+ * @param {string} value - Raw input value
+ * @returns {Object} - Header name -> value
+ */
+export function parseHeaders(value) {
+  const headers = {};
+  
+  (value || '').split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    
+    const separator = line.indexOf(':');
+    const name = separator > 0 ? line.slice(0, separator).trim() : '';
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid api-headers line ${index + 1}: expected "Name: value"`);
+    }
+    headers[name] = line.slice(separator + 1).trim();
+  });
+  
+  return headers;
+}
+
+/**
+ * Extracts the file name of a Content-Disposition header, preferring the
+ * RFC 5987 filename* form. Directories are dropped so the name cannot escape.
+ * @param {string|null} header - Content-Disposition header value
+ * @returns {string|null} - File name, null when the header has none
+ */
+export function getContentDispositionFilename(header) {
+  if (!header) {
+    return null;
+  }
+  
+  let filename = null;
+  const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header);
+  if (extended) {
+    try {
+      filename = decodeURIComponent(extended[2].trim());
+    } catch (error) {
+      filename = null;
+    }
+  }
+  if (!filename) {
+    const plain = /filename\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]+))/i.exec(header);
+    filename = plain ? (plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2].trim()) : null;
+  }
+  
+  const baseName = filename ? filename.split(/[\\/]/).pop().trim() : '';
+  return baseName && baseName !== '.' && baseName !== '..' ? baseName : null;
+}
+
+/**
+ * Fetches a URL with the configured headers, proxy and CA bundle. Headers
+ * given by the caller win over the extra headers.
+ * @param {string} url - Absolute URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(url, options = {}) {
+  const dispatcher = proxyDispatcher && !bypassesProxy(url) ? proxyDispatcher : directDispatcher;
+  const headers = new Headers(extraHeaders);
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    headers.set(name, value);
+  }
+  
+  try {
+    return await fetch(url, {
+      ...options,
+      headers,
+      dispatcher
+    });
+  } catch (error) {
+    // fetch only says "fetch failed"; the cause names the DNS, TLS or proxy problem
+    throw new Error(error.cause?.message ? `${error.message}: ${error.cause.message}` : error.message, { cause: error.cause });
+  }
+}
+
+/**
+ * Fetches a URL and reads its body. The configured timeout applies to the
+ * response headers and then to the body, so a stalled request fails. Network
+ * errors, timeouts, 408, 429 and 5xx responses are retried with exponential
+ * backoff, or after the delay a Retry-After header asks for. A 304 response
+ * to a conditional request is returned like a success, with an empty body.
+ * @param {string} url - Absolute URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<{response: Response, body: Buffer, attempts: number}>}
+ * @throws {Error} - The last failure, with the number of attempts made in `attempts`
+ */
+export async function fetchWithRetry(url, options = {}) {
+  return requestWithRetry(url, options, async response => ({ body: Buffer.from(await response.arrayBuffer()) }));
+}
+
+/**
+ * Fetches a URL like fetchWithRetry(), but streams the body to a file instead
+ * of keeping it in memory. The timeout is an idle timeout here, restarted by
+ * every chunk, so a large body on a slow link finishes as long as data keeps
+ * arriving. Every attempt starts the file over. A body larger
+ * than maxSize (by its Content-Length or once that many bytes arrived) fails
+ * without a retry.
+ * @param {string} url - Absolute URL
+ * @param {string} filePath - File the body is written to
+ * @param {Object} [options] - fetch options
+ * @param {Object} [limits] - Download limits
+ * @param {number} [limits.maxSize] - Largest body accepted, in bytes
+ * @param {Function} [limits.onProgress] - Called with (bytes received, total bytes or null) after every chunk
+ * @returns {Promise<{response: Response, size: number, contentLength: number|null, attempts: number}>} - contentLength
+ *   is the Content-Length of an uncompressed body, null when the size was not announced
+ * @throws {Error} - The last failure, with the number of attempts made in `attempts`
+ */
+export async function downloadWithRetry(url, filePath, options = {}, { maxSize = Infinity, onProgress } = {}) {
+  return requestWithRetry(url, options, (response, onData) => writeBody(response, filePath, maxSize, (received, total) => {
+    onData();
+    onProgress?.(received, total);
+  }));
+}
+
+async function writeBody(response, filePath, maxSize, onProgress) {
+  // Content-Length counts encoded bytes, so it only gives the size of uncompressed bodies
+  const totalSize = response.headers.get('content-length') && !response.headers.get('content-encoding')
+    ? Number(response.headers.get('content-length'))
+    : null;
+  if (totalSize !== null && totalSize > maxSize) {
+    await response.body?.cancel();
+    throw new Error(`body of ${totalSize} bytes exceeds the maximum size of ${maxSize} bytes`);
+  }
+  
+  const file = await fs.promises.open(filePath, 'w');
+  let size = 0;
+  try {
+    for await (const chunk of response.body ?? []) {
+      size += chunk.length;
+      if (size > maxSize) {
+        throw new Error(`body exceeds the maximum size of ${maxSize} bytes`);
+      }
+      await file.write(chunk);
+      onProgress?.(size, totalSize);
+    }
+  } finally {
+    await file.close();
+  }
+  return { size, contentLength: totalSize };
+}
+
+async function requestWithRetry(url, options, readBody) {
+  const maxAttempts = retries + 1;
+  
+  for (let attempt = 1; ; attempt++) {
+    // Restarted when the headers arrive and whenever readBody reports data
+    const controller = new AbortController();
+    let timer = null;
+    const restartTimeout = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), timeoutMs);
+    };
+    const signal = controller.signal;
+    let failure;
+    let retryAfter = null;
+    
+    try {
+      restartTimeout();
+      const response = await httpFetch(url, { ...options, signal });
+      restartTimeout();
+      if (response.ok || response.status === 304) {
+        return { response, ...await readBody(response, restartTimeout), attempts: attempt };
+      }
+      
+      await response.body?.cancel();
+      failure = {
+        message: `HTTP error! status: ${response.status} - ${response.statusText}`,
+        retryable: RETRYABLE_STATUSES.includes(response.status) || response.status >= 500
+      };
+      retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    } catch (error) {
+      // Errors without a cause (e.g. an invalid URL) fail the same way every time
+      failure = signal.aborted
+        ? { message: `timed out after ${timeoutMs / 1000}s without a response or data`, retryable: true }
+        : { message: error.message, retryable: Boolean(error.cause) };
+    } finally {
+      clearTimeout(timer);
+    }
+    
+    if (!failure.retryable || attempt >= maxAttempts) {
+      const error = new Error(attempt > 1 ? `${failure.message} (after ${attempt} attempts)` : failure.message);
+      error.attempts = attempt;
+      throw error;
+    }
+    
+    const delay = retryAfter ?? backoffDelay(attempt);
+    core.info(`⏳ Attempt ${attempt}/${maxAttempts} for ${url} failed (${failure.message}), retrying in ${(delay / 1000).toFixed(1)}s`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  
+  // Either delay-seconds or an HTTP date
+  const delay = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  if (Number.isNaN(delay)) {
+    return null;
+  }
+  return Math.min(Math.max(delay, 0), RETRY_AFTER_MAX_MS);
+}
+
+function bypassesProxy(url) {
+  const { hostname, port } = new URL(url);
+  const host = hostname.toLowerCase();
+  
+  return noProxy.some(entry => {
+    if (entry === '*') {
+      return true;
+    }
+    const [entryHost, entryPort] = entry.split(':');
+    if (entryPort && entryPort !== port) {
+      return false;
+    }
+    const suffix = entryHost.replace(/^\*?\./, '');
+    return host === suffix || host.endsWith(`.${suffix}`);
+  });
+}
+
+function normalizeBaseUrl(baseUrl) {
+  if (!/^https?:\/\/[^/]/i.test(baseUrl)) {
+    throw new Error(`Invalid api-base-url ${baseUrl}: expected an http:// or https:// URL`);
+  }
+  return baseUrl.replace(/\/+$/, '');
+}
+
+function redactCredentials(url) {
+  return url.replace(/\/\/[^/@]*@/, '//***@');
+}
@@ -1,6 +1,17 @@
-import * as core from "@actions/core";
-import * as fs from "fs";
+import * as core from "../adapters/index.js";
 import * as path from "path";
+import {
+  readFileContent,
+  writeFileContent,
+  ensureDirectoryExists,
+  pathExists,
+  copyFile,
+  removeFile,
+  beginExternalWrite
+} from "./fileUtils.js";
+import { getRepoConfig, getResourcesDir } from "./configUtils.js";
+import { recordIcon } from "./reportUtils.js";
+import { convertSvgToVectorDrawable, isSvgFile } from "./vectorDrawableUtils.js";
 
 /**
  * Android app icon sizes and their corresponding folder names
@@ -21,7 +32,7 @@ const ICON_SIZES = {
  */
 export async function generateAppIcons(logoPath, appModule) {
   try {
-    if (!logoPath || !fs.existsSync(logoPath)) {
+    if (!logoPath || !pathExists(logoPath)) {
       core.warning("Logo file not found, skipping icon generation");
       return false;
     }
@@ -32,6 +43,12 @@ export async function generateAppIcons(logoPath, appModule) {
     // Check if ImageMagick or other image processing tools are available
     const hasImageMagick = await checkImageMagick();
     
+    if (!hasImageMagick && isSvgFile(logoPath)) {
+      // A copied SVG is not a valid WebP; only the adaptive icon can use it as a vector
+      core.warning("An SVG logo needs ImageMagick to be rasterised into launcher icons, skipping them");
+      return false;
+    }
+    
     if (!hasImageMagick) {
       // Fallback: Copy the original logo as the main icon in WebP format
       await copyLogoAsIcon(logoPath, appModule);
@@ -44,7 +61,8 @@ export async function generateAppIcons(logoPath, appModule) {
 
     for (const [density, size] of Object.entries(ICON_SIZES)) {
       try {
-        await generateIconForDensity(logoPath, appModule, density, size);
+        const iconPath = await generateIconForDensity(logoPath, appModule, density, size);
+        recordIcon({ kind: 'launcher', density, size, path: iconPath, method: 'resized' });
         successCount++;
         core.info(`✓ Generated ${density} icon (${size}x${size}) in WebP format`);
       } catch (error) {
@@ -91,20 +109,21 @@ async function checkImageMagick() {
 function cleanupExistingIcons(appModule) {
   try {
     core.info("Cleaning up existing launcher icons...");
+    const iconName = getRepoConfig().icon_name;
     
     for (const density of Object.keys(ICON_SIZES)) {
-      const densityFolder = path.join(appModule, 'src', 'main', 'res', `mipmap-${density}`);
+      const densityFolder = path.join(getResourcesDir(appModule), `mipmap-${density}`);
       
-      if (fs.existsSync(densityFolder)) {
-        // Remove both .png and .webp versions of ic_launcher
-        const pngIcon = path.join(densityFolder, 'ic_launcher.png');
-        const webpIcon = path.join(densityFolder, 'ic_launcher.webp');
-        const foregroundPng = path.join(densityFolder, 'ic_launcher_foreground.png');
-        const foregroundWebp = path.join(densityFolder, 'ic_launcher_foreground.webp');
+      if (pathExists(densityFolder)) {
+        // Remove both .png and .webp versions of the launcher icon
+        const pngIcon = path.join(densityFolder, `${iconName}.png`);
+        const webpIcon = path.join(densityFolder, `${iconName}.webp`);
+        const foregroundPng = path.join(densityFolder, `${iconName}_foreground.png`);
+        const foregroundWebp = path.join(densityFolder, `${iconName}_foreground.webp`);
         
         [pngIcon, webpIcon, foregroundPng, foregroundWebp].forEach(iconPath => {
-          if (fs.existsSync(iconPath)) {
-            fs.unlinkSync(iconPath);
+          if (pathExists(iconPath)) {
+            removeFile(iconPath);
             core.info(`✓ Removed existing icon: ${path.basename(iconPath)}`);
           }
         });
@@ -118,12 +137,12 @@ function cleanupExistingIcons(appModule) {
     ];
     
     adaptiveFolders.forEach(folder => {
-      const folderPath = path.join(appModule, 'src', 'main', 'res', folder);
-      if (fs.existsSync(folderPath)) {
-        const adaptiveIcon = path.join(folderPath, 'ic_launcher.xml');
-        if (fs.existsSync(adaptiveIcon)) {
-          fs.unlinkSync(adaptiveIcon);
-          core.info(`✓ Removed existing adaptive icon: ${folder}/ic_launcher.xml`);
+      const folderPath = path.join(getResourcesDir(appModule), folder);
+      if (pathExists(folderPath)) {
+        const adaptiveIcon = path.join(folderPath, `${iconName}.xml`);
+        if (pathExists(adaptiveIcon)) {
+          removeFile(adaptiveIcon);
+          core.info(`✓ Removed existing adaptive icon: ${folder}/${iconName}.xml`);
         }
       }
     });
@@ -140,6 +159,7 @@ function cleanupExistingIcons(appModule) {
  * @param {string} appModule - Path to the Android app module
  * @param {string} density - Density folder name (mdpi, hdpi, etc.)
  * @param {number} size - Icon size in pixels
+ * @returns {Promise<string>} - Path of the icon
  */
 async function generateIconForDensity(logoPath, appModule, density, size) {
   const { exec } = await import('child_process');
@@ -147,22 +167,21 @@ async function generateIconForDensity(logoPath, appModule, density, size) {
   const execAsync = promisify(exec);
 
   // Create density folder path
-  const densityFolder = path.join(appModule, 'src', 'main', 'res', `mipmap-${density}`);
-  const iconPath = path.join(densityFolder, 'ic_launcher.webp');
-
-  // Create directory if it doesn't exist
-  if (!fs.existsSync(densityFolder)) {
-    fs.mkdirSync(densityFolder, { recursive: true });
-  }
+  const densityFolder = path.join(getResourcesDir(appModule), `mipmap-${density}`);
+  const iconPath = path.join(densityFolder, `${getRepoConfig().icon_name}.webp`);
 
   // Generate icon using ImageMagick and convert to WebP format
+  if (!beginExternalWrite(iconPath)) {
+    return iconPath;
+  }
   const command = `convert "${logoPath}" -resize ${size}x${size} -background transparent "${iconPath}"`;
   await execAsync(command);
 
   // Verify the icon was created
-  if (!fs.existsSync(iconPath)) {
+  if (!pathExists(iconPath)) {
     throw new Error(`Icon file was not created: ${iconPath}`);
   }
+  return iconPath;
 }
 
 /**
@@ -178,38 +197,36 @@ async function copyLogoAsIcon(logoPath, appModule) {
     if (hasImageMagick) {
       // Convert and copy to all density folders
       for (const [density, size] of Object.entries(ICON_SIZES)) {
-        const densityFolder = path.join(appModule, 'src', 'main', 'res', `mipmap-${density}`);
-        const iconPath = path.join(densityFolder, 'ic_launcher.webp');
-        
-        if (!fs.existsSync(densityFolder)) {
-          fs.mkdirSync(densityFolder, { recursive: true });
-        }
+        const densityFolder = path.join(getResourcesDir(appModule), `mipmap-${density}`);
+        const iconPath = path.join(densityFolder, `${getRepoConfig().icon_name}.webp`);
         
         try {
           const { exec } = await import('child_process');
           const { promisify } = await import('util');
           const execAsync = promisify(exec);
           
+          recordIcon({ kind: 'launcher', density, size, path: iconPath, method: 'resized' });
+          if (!beginExternalWrite(iconPath)) {
+            continue;
+          }
           const command = `convert "${logoPath}" -resize ${size}x${size} -background transparent "${iconPath}"`;
           await execAsync(command);
           core.info(`✓ Converted logo to WebP icon: ${density} (${size}x${size})`);
         } catch (error) {
           // If conversion fails, copy as-is with .webp extension
-          fs.copyFileSync(logoPath, iconPath);
+          copyFile(logoPath, iconPath);
+          recordIcon({ kind: 'launcher', density, size, path: iconPath, method: 'copied' });
           core.info(`✓ Copied logo as WebP icon: ${density}`);
         }
       }
     } else {
       // Fallback: Copy the logo file directly with .webp extension
-      for (const [density] of Object.entries(ICON_SIZES)) {
-        const densityFolder = path.join(appModule, 'src', 'main', 'res', `mipmap-${density}`);
-        const iconPath = path.join(densityFolder, 'ic_launcher.webp');
-        
-        if (!fs.existsSync(densityFolder)) {
-          fs.mkdirSync(densityFolder, { recursive: true });
-        }
+      for (const [density, size] of Object.entries(ICON_SIZES)) {
+        const densityFolder = path.join(getResourcesDir(appModule), `mipmap-${density}`);
+        const iconPath = path.join(densityFolder, `${getRepoConfig().icon_name}.webp`);
         
-        fs.copyFileSync(logoPath, iconPath);
+        copyFile(logoPath, iconPath);
+        recordIcon({ kind: 'launcher', density, size, path: iconPath, method: 'copied' });
         core.info(`✓ Copied logo as WebP icon: ${density}`);
       }
     }
@@ -228,18 +245,25 @@ async function copyLogoAsIcon(logoPath, appModule) {
  */
 export async function generateAdaptiveIcons(logoPath, appModule, backgroundColor = '#FFFFFF') {
   try {
-    if (!logoPath || !fs.existsSync(logoPath)) {
+    if (!logoPath || !pathExists(logoPath)) {
       core.warning("Logo file not found, skipping adaptive icon generation");
       return false;
     }
 
     core.info("=== Generating Adaptive Icons ===");
 
+    // An SVG logo becomes a vector foreground instead of one bitmap per density
+    const vectorForeground = isSvgFile(logoPath);
+
     // Create adaptive icon XML files
-    await createAdaptiveIconXml(appModule, backgroundColor);
+    await createAdaptiveIconXml(appModule, backgroundColor, vectorForeground ? 'drawable' : 'mipmap');
     
     // Generate foreground layer (the logo)
-    await generateForegroundLayer(logoPath, appModule);
+    if (vectorForeground) {
+      generateVectorForeground(logoPath, appModule);
+    } else {
+      await generateForegroundLayer(logoPath, appModule);
+    }
 
     core.info("✓ Adaptive icons generated successfully");
     return true;
@@ -254,46 +278,74 @@ export async function generateAdaptiveIcons(logoPath, appModule, backgroundColor
  * Create adaptive icon XML configuration
  * @param {string} appModule - Path to the Android app module
  * @param {string} backgroundColor - Background color
+ * @param {string} foregroundType - Resource type of the foreground: mipmap (bitmaps) or drawable (vector)
  */
-async function createAdaptiveIconXml(appModule, backgroundColor) {
-  const mipmapAnydpiV26 = path.join(appModule, 'src', 'main', 'res', 'mipmap-anydpi-v26');
+async function createAdaptiveIconXml(appModule, backgroundColor, foregroundType) {
+  const mipmapAnydpiV26 = path.join(getResourcesDir(appModule), 'mipmap-anydpi-v26');
+  const iconName = getRepoConfig().icon_name;
   
-  if (!fs.existsSync(mipmapAnydpiV26)) {
-    fs.mkdirSync(mipmapAnydpiV26, { recursive: true });
-  }
-
-  // Create ic_launcher.xml
+  // Create the adaptive icon XML (ic_launcher.xml by default)
   const adaptiveIconXml = `<?xml version="1.0" encoding="utf-8"?>
 <adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">
-    <background android:drawable="@color/ic_launcher_background"/>
-    <foreground android:drawable="@mipmap/ic_launcher_foreground"/>
+    <background android:drawable="@color/${iconName}_background"/>
+    <foreground android:drawable="@${foregroundType}/${iconName}_foreground"/>
 </adaptive-icon>`;
 
-  fs.writeFileSync(path.join(mipmapAnydpiV26, 'ic_launcher.xml'), adaptiveIconXml);
+  writeFileContent(path.join(mipmapAnydpiV26, `${iconName}.xml`), adaptiveIconXml);
 
   // Create background color resource
-  const colorsDir = path.join(appModule, 'src', 'main', 'res', 'values');
-  if (!fs.existsSync(colorsDir)) {
-    fs.mkdirSync(colorsDir, { recursive: true });
-  }
+  const colorsDir = path.join(getResourcesDir(appModule), 'values');
+  ensureDirectoryExists(colorsDir);
 
   const colorsPath = path.join(colorsDir, 'colors.xml');
   let colorsContent = '';
 
-  if (fs.existsSync(colorsPath)) {
-    colorsContent = fs.readFileSync(colorsPath, 'utf8');
+  if (pathExists(colorsPath)) {
+    colorsContent = readFileContent(colorsPath);
   } else {
     colorsContent = '<?xml version="1.0" encoding="utf-8"?>\n<resources>\n</resources>';
   }
 
   // Add background color if not exists
-  if (!colorsContent.includes('ic_launcher_background')) {
-    const colorLine = `    <color name="ic_launcher_background">${backgroundColor}</color>`;
+  if (!colorsContent.includes(`${iconName}_background`)) {
+    const colorLine = `    <color name="${iconName}_background">${backgroundColor}</color>`;
     colorsContent = colorsContent.replace('</resources>', `${colorLine}\n</resources>`);
-    fs.writeFileSync(colorsPath, colorsContent);
+    writeFileContent(colorsPath, colorsContent);
   }
 }
 
+/**
+ * Generate the foreground layer for adaptive icons as a VectorDrawable from an SVG logo
+ * @param {string} logoPath - Path to the SVG logo
+ * @param {string} appModule - Path to the Android app module
+ */
+function generateVectorForeground(logoPath, appModule) {
+  const iconName = getRepoConfig().icon_name;
+  const resourcesDir = getResourcesDir(appModule);
+  const foregroundPath = path.join(resourcesDir, 'drawable', `${iconName}_foreground.xml`);
+
+  // 108dp layer with the logo in the central 72dp, like the bitmap foregrounds
+  const { xml, warnings } = convertSvgToVectorDrawable(readFileContent(logoPath), { size: 108, padding: 18 });
+  warnings.forEach(warning => core.warning(`SVG logo: ${warning}`));
+  writeFileContent(foregroundPath, xml);
+  recordIcon({ kind: 'foreground', density: 'anydpi', size: 108, path: foregroundPath, method: 'vector' });
+  core.info(`✓ Generated vector foreground: drawable/${iconName}_foreground.xml`);
+
+  // Bitmaps of the same name would be duplicate resources, and the drawable-v24
+  // foreground of Android Studio templates would win over ours on API 24+
+  const staleForegrounds = [
+    path.join(resourcesDir, 'drawable', `${iconName}_foreground.png`),
+    path.join(resourcesDir, 'drawable', `${iconName}_foreground.webp`),
+    path.join(resourcesDir, 'drawable-v24', `${iconName}_foreground.xml`)
+  ];
+  staleForegrounds.forEach(stalePath => {
+    if (pathExists(stalePath)) {
+      removeFile(stalePath);
+      core.info(`✓ Removed existing foreground: ${path.relative(resourcesDir, stalePath)}`);
+    }
+  });
+}
+
 /**
  * Generate foreground layer for adaptive icons in WebP format
  * @param {string} logoPath - Path to the source logo
@@ -302,12 +354,8 @@ async function createAdaptiveIconXml(appModule, backgroundColor) {
 async function generateForegroundLayer(logoPath, appModule) {
   // Generate foreground icons for different densities
   for (const [density, size] of Object.entries(ICON_SIZES)) {
-    const densityFolder = path.join(appModule, 'src', 'main', 'res', `mipmap-${density}`);
-    const foregroundPath = path.join(densityFolder, 'ic_launcher_foreground.webp');
-
-    if (!fs.existsSync(densityFolder)) {
-      fs.mkdirSync(densityFolder, { recursive: true });
-    }
+    const densityFolder = path.join(getResourcesDir(appModule), `mipmap-${density}`);
+    const foregroundPath = path.join(densityFolder, `${getRepoConfig().icon_name}_foreground.webp`);
 
     // For foreground layer, use 108dp total size with 72dp safe area
     const foregroundSize = Math.round(size * 1.5); // 108/72 ratio
@@ -321,16 +369,22 @@ async function generateForegroundLayer(logoPath, appModule) {
         const execAsync = promisify(exec);
 
         // Create foreground with padding for safe area in WebP format
+        recordIcon({ kind: 'foreground', density, size: foregroundSize, path: foregroundPath, method: 'resized' });
+        if (!beginExternalWrite(foregroundPath)) {
+          continue;
+        }
         const command = `convert "${logoPath}" -resize ${size}x${size} -background transparent -gravity center -extent ${foregroundSize}x${foregroundSize} "${foregroundPath}"`;
         await execAsync(command);
       } catch (error) {
         // Fallback: copy the original logo with .webp extension
-        fs.copyFileSync(logoPath, foregroundPath);
+        copyFile(logoPath, foregroundPath);
+        recordIcon({ kind: 'foreground', density, size: foregroundSize, path: foregroundPath, method: 'copied' });
         core.warning(`Failed to generate foreground for ${density}, copied original logo: ${error.message}`);
       }
     } else {
       // Fallback: copy the original logo with .webp extension
-      fs.copyFileSync(logoPath, foregroundPath);
+      copyFile(logoPath, foregroundPath);
+      recordIcon({ kind: 'foreground', density, size: foregroundSize, path: foregroundPath, method: 'copied' });
     }
   }
 }
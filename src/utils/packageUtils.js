@@ -1,15 +1,23 @@
-import * as core from '@actions/core';
-import { readFileContent, writeFileContent, ensureDirectoryExists } from './fileUtils.js';
+import * as core from '../adapters/index.js';
+import {
+  readFileContent,
+  writeFileContent,
+  ensureDirectoryExists,
+  pathExists,
+  listDirectory,
+  listFilesRecursive,
+  moveFile,
+  removeDirectory
+} from './fileUtils.js';
+import { getRepoConfig, getManifestPath } from './configUtils.js';
+import { GRADLE_BUILD_FILES } from './gradleUtils.js';
 import * as path from 'path';
-import * as fs from 'fs';
 
 /**
  * Package management utilities for Android projects
  */
 
 const PACKAGE_PATTERN = /^package\s+([a-zA-Z][a-zA-Z0-9_.]*)/m;
-const JAVA_SOURCE_DIR = 'src/main/java';
-const KOTLIN_SOURCE_DIR = 'src/main/kotlin';
 
 export function extractPackageFromFile(filePath) {
   try {
@@ -23,7 +31,7 @@ export function extractPackageFromFile(filePath) {
 }
 
 export function detectExistingPackage(appModule) {
-  const sourceDirs = [JAVA_SOURCE_DIR, KOTLIN_SOURCE_DIR];
+  const sourceDirs = getRepoConfig().source_dirs;
   
   for (const sourceDir of sourceDirs) {
     const sourcePath = path.join(appModule, sourceDir);
@@ -38,7 +46,7 @@ export function detectExistingPackage(appModule) {
 
 function findPackageInDirectory(sourcePath) {
   try {
-    const files = fs.readdirSync(sourcePath, { recursive: true });
+    const files = listFilesRecursive(sourcePath);
     
     for (const file of files) {
       if (file.endsWith('.kt') || file.endsWith('.java')) {
@@ -68,8 +76,7 @@ export function updatePackageReferences(appModule, oldPackage, newPackage) {
   
   // Then restructure the source directories
   const sourceDirs = [
-    JAVA_SOURCE_DIR, 
-    KOTLIN_SOURCE_DIR,
+    ...getRepoConfig().source_dirs,
     'src/test/java',
     'src/test/kotlin',
     'src/androidTest/java',
@@ -78,7 +85,7 @@ export function updatePackageReferences(appModule, oldPackage, newPackage) {
   
   for (const sourceDir of sourceDirs) {
     const sourcePath = path.join(appModule, sourceDir);
-    if (fs.existsSync(sourcePath)) {
+    if (pathExists(sourcePath)) {
       restructurePackageDirectory(sourcePath, oldPackage, newPackage);
     }
   }
@@ -91,7 +98,7 @@ export function updatePackageReferences(appModule, oldPackage, newPackage) {
 
 function updateAllPackageReferencesInProject(appModule, oldPackage, newPackage) {
   // Update source files
-  const sourceDirs = [JAVA_SOURCE_DIR, KOTLIN_SOURCE_DIR];
+  const sourceDirs = getRepoConfig().source_dirs;
   
   for (const sourceDir of sourceDirs) {
     const sourcePath = path.join(appModule, sourceDir);
@@ -106,7 +113,7 @@ function restructurePackageDirectory(sourcePath, oldPackage, newPackage) {
     // Find the old package root directory
     const oldPackageRoot = findOldPackageRoot(sourcePath, oldPackage);
     
-    if (oldPackageRoot && fs.existsSync(oldPackageRoot)) {
+    if (oldPackageRoot && pathExists(oldPackageRoot)) {
       // Calculate new package root
       const newPackagePath = packageToPath(newPackage);
       const newPackageRoot = path.join(sourcePath, newPackagePath);
@@ -121,7 +128,8 @@ function restructurePackageDirectory(sourcePath, oldPackage, newPackage) {
       core.info(`Created new package directory: ${newPackageDir}`);
     }
   } catch (error) {
-    core.warning(`Failed to restructure package directory ${sourcePath}: ${error.message}`);
+    // A half-moved package leaves the sources uncompilable, so let the run fail
+    throw new Error(`Failed to restructure package directory ${sourcePath}: ${error.message}`);
   }
 }
 
@@ -134,7 +142,7 @@ function findOldPackageRoot(sourcePath, oldPackage) {
   const oldPackageRoot = path.join(sourcePath, oldPackagePath);
   
   // Check if the exact package path exists
-  if (fs.existsSync(oldPackageRoot)) {
+  if (pathExists(oldPackageRoot)) {
     return oldPackageRoot;
   }
   
@@ -144,7 +152,7 @@ function findOldPackageRoot(sourcePath, oldPackage) {
     const partialPackage = packageParts.slice(0, i).join('.');
     const partialPath = path.join(sourcePath, packageToPath(partialPackage));
     
-    if (fs.existsSync(partialPath)) {
+    if (pathExists(partialPath)) {
       // Check if this directory contains source files
       if (hasSourceFiles(partialPath)) {
         return partialPath;
@@ -157,7 +165,7 @@ function findOldPackageRoot(sourcePath, oldPackage) {
 
 function hasSourceFiles(directory) {
   try {
-    const files = fs.readdirSync(directory, { recursive: true });
+    const files = listFilesRecursive(directory);
     return files.some(file => file.endsWith('.kt') || file.endsWith('.java'));
   } catch (error) {
     return false;
@@ -173,37 +181,28 @@ function movePackageStructure(oldPackageRoot, newPackageRoot, newPackage) {
     
     let movedItems = 0;
     
-    // Get all files and directories recursively
-    const files = fs.readdirSync(oldPackageRoot, { recursive: true });
+    // Get all files recursively
+    const files = listFilesRecursive(oldPackageRoot);
     
     for (const file of files) {
       const oldFilePath = path.join(oldPackageRoot, file);
-      const stats = fs.statSync(oldFilePath);
+      const newFilePath = path.join(newPackageRoot, file);
       
-      if (stats.isFile()) {
-        const newFilePath = path.join(newPackageRoot, file);
-        
-        // Create directory structure if needed
-        ensureDirectoryExists(path.dirname(newFilePath));
-        
-        if (file.endsWith('.kt') || file.endsWith('.java')) {
-          // Update source files
-          const content = readFileContent(oldFilePath);
-          const relativeDirPath = path.dirname(file);
-          const updatedContent = updatePackageDeclarationWithSubdir(content, newPackage, relativeDirPath);
-          
-          writeFileContent(newFilePath, updatedContent);
-          core.info(`✓ Moved ${file} with updated package`);
-        } else {
-          // Copy non-source files as-is
-          fs.copyFileSync(oldFilePath, newFilePath);
-          core.info(`✓ Copied ${file}`);
-        }
+      if (file.endsWith('.kt') || file.endsWith('.java')) {
+        // Update source files
+        const content = readFileContent(oldFilePath);
+        const relativeDirPath = path.dirname(file);
+        const updatedContent = updatePackageDeclarationWithSubdir(content, newPackage, relativeDirPath);
         
-        movedItems++;
-        // Remove old file
-        fs.unlinkSync(oldFilePath);
+        moveFile(oldFilePath, newFilePath, updatedContent);
+        core.info(`✓ Moved ${file} with updated package`);
+      } else {
+        // Move non-source files as-is
+        moveFile(oldFilePath, newFilePath);
+        core.info(`✓ Moved ${file}`);
       }
+      
+      movedItems++;
     }
     
     if (movedItems > 0) {
@@ -238,11 +237,11 @@ function updatePackageDeclarationWithSubdir(content, newPackage, relativeDirPath
 function cleanupOldPackageStructure(oldPackageRoot) {
   try {
     // Remove the old package directory if it's empty
-    if (fs.existsSync(oldPackageRoot)) {
+    if (pathExists(oldPackageRoot)) {
       // Check if directory is empty
-      const files = fs.readdirSync(oldPackageRoot);
+      const files = listDirectory(oldPackageRoot);
       if (files.length === 0) {
-        fs.rmdirSync(oldPackageRoot);
+        removeDirectory(oldPackageRoot);
         core.info(`✓ Removed empty directory: ${oldPackageRoot}`);
         
         // Recursively clean up parent directories if they become empty
@@ -259,13 +258,12 @@ function cleanupOldPackageStructure(oldPackageRoot) {
 
 function updateReferencesInDirectory(directory, oldPackage, newPackage) {
   try {
-    const files = fs.readdirSync(directory, { recursive: true });
+    const files = listFilesRecursive(directory);
     
     for (const file of files) {
       const filePath = path.join(directory, file);
       
-      if (fs.statSync(filePath).isFile() && 
-          (file.endsWith('.kt') || file.endsWith('.java'))) {
+      if (file.endsWith('.kt') || file.endsWith('.java')) {
         updateReferencesInFile(filePath, oldPackage, newPackage);
       }
     }
@@ -311,13 +309,11 @@ function updatePackageReferencesInContent(content, oldPackage, newPackage) {
 }
 
 function updateBuildFiles(appModule, oldPackage, newPackage) {
-  const buildFiles = ['build.gradle', 'build.gradle.kts'];
-  
-  for (const buildFile of buildFiles) {
+  for (const buildFile of GRADLE_BUILD_FILES) {
     const buildPath = path.join(appModule, buildFile);
     
     try {
-      if (fs.existsSync(buildPath)) {
+      if (pathExists(buildPath)) {
         const content = readFileContent(buildPath);
         // Replace all occurrences of the old package name with the new one
         const updatedContent = content.replace(
@@ -337,10 +333,10 @@ function updateBuildFiles(appModule, oldPackage, newPackage) {
 }
 
 function updateManifest(appModule, oldPackage, newPackage) {
-  const manifestPath = path.join(appModule, 'src/main/AndroidManifest.xml');
+  const manifestPath = getManifestPath(appModule);
   
   try {
-    if (fs.existsSync(manifestPath)) {
+    if (pathExists(manifestPath)) {
       const content = readFileContent(manifestPath);
       const updatedContent = content.replace(
         new RegExp(`package\\s*=\\s*["']${escapeRegex(oldPackage)}["']`, 'g'),
@@ -369,7 +365,7 @@ function updateProguardRules(appModule, oldPackage, newPackage) {
     const proguardPath = path.join(appModule, proguardFile);
     
     try {
-      if (fs.existsSync(proguardPath)) {
+      if (pathExists(proguardPath)) {
         const content = readFileContent(proguardPath);
         
         // Replace package references in ProGuard rules
@@ -0,0 +1,255 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { getFileOperations, isDryRun } from './fileUtils.js';
+import { getExportedVariables, getSecretVariableCount } from './envUtils.js';
+import { getStepResults } from './stepUtils.js';
+
+/**
+ * Apply report utilities: collects what a run changed into a JSON manifest
+ */
+
+const REPORT_VERSION = 1;
+const DEFAULT_REPORT_FILE = 'flavorflow-report.json';
+
+const assets = [];
+const assetFailures = [];
+// "<kind>:<density>" -> icon, so a fallback copy replaces a failed resize
+const icons = new Map();
+let project = {
+  type: null,
+  appModule: null,
+  oldPackage: null,
+  newPackage: null,
+  oldAppName: null,
+  themeName: null
+};
+
+/**
+ * Records a downloaded asset
+ * @param {Object} asset - Asset details
+ * @param {string} asset.name - Asset name from the flavor (or 'logo')
+ * @param {string} asset.url - Resolved source URL
+ * @param {string} asset.path - Absolute path of the saved file
+ * @param {number} asset.size - Size in bytes
+ * @param {string} asset.sha256 - Hex encoded SHA-256 of the content
+ * @param {string} asset.contentType - Content type detected from the content, or the declared one when unrecognised
+ * @param {string} asset.declaredContentType - Content-Type header sent by the server
+ * @param {string|null} asset.contentMismatch - How the declared type contradicts the content, null when it does not
+ * @param {number} asset.attempts - Number of requests it took
+ * @param {boolean} asset.cacheHit - Whether the cached copy was reused after a 304
+ * @param {string} asset.integrity - 'verified', 'mismatch' (kept in warn mode) or 'unchecked'
+ * @param {string[]} asset.integrityProblems - What did not match
+ * @param {string|null} asset.target - Android folder it was installed into (drawable, raw, font or assets)
+ * @param {boolean} asset.convertedToVector - Whether an SVG was saved as a VectorDrawable
+ * @param {Array<{name: string, size: number}>|null} asset.extractedFiles - Files extracted from an archive into the folder at path
+ */
+export function recordAsset(asset) {
+  assets.push({ ...asset });
+}
+
+/**
+ * Records an asset that could not be downloaded
+ * @param {Object} failure - Failure details
+ * @param {string} failure.name - Asset name from the flavor (or 'logo')
+ * @param {string} failure.url - Resolved source URL
+ * @param {number} failure.attempts - Number of requests made before giving up
+ * @param {string} failure.error - Last error message
+ * @param {boolean} failure.required - Whether the failure fails the run
+ */
+export function recordAssetFailure(failure) {
+  assetFailures.push({ ...failure });
+}
+
+/**
+ * Returns every asset failure recorded so far
+ * @returns {Object[]}
+ */
+export function getAssetFailures() {
+  return assetFailures.map(failure => ({ ...failure }));
+}
+
+/**
+ * Returns every asset recorded so far
+ * @returns {Object[]}
+ */
+export function getAssets() {
+  return assets.map(asset => ({ ...asset }));
+}
+
+/**
+ * Records a generated launcher icon or adaptive icon foreground
+ * @param {Object} icon - Icon details
+ * @param {string} icon.kind - 'launcher' or 'foreground'
+ * @param {string} icon.density - Density qualifier (mdpi, hdpi, ...)
+ * @param {number} icon.size - Target size in pixels
+ * @param {string} icon.path - Path of the icon file
+ * @param {string} icon.method - 'resized' with ImageMagick, 'copied' from the logo as-is or 'vector' converted from an SVG logo
+ */
+export function recordIcon(icon) {
+  icons.set(`${icon.kind}:${icon.density}`, { ...icon });
+}
+
+/**
+ * Returns every icon recorded so far
+ * @returns {Object[]}
+ */
+export function getIcons() {
+  return Array.from(icons.values(), icon => ({ ...icon }));
+}
+
+/**
+ * Records details about the Android project the flavor was applied to
+ * @param {Object} details - Any of type, appModule, oldPackage, newPackage, oldAppName, themeName
+ */
+export function recordProject(details) {
+  project = { ...project, ...details };
+}
+
+/**
+ * Returns the recorded project details
+ * @returns {Object}
+ */
+export function getProject() {
+  return { ...project };
+}
+
+/**
+ * Default location of the report file, always outside the checkout so a run
+ * or revert leaves the working tree clean
+ * @returns {string}
+ */
+export function getDefaultReportPath() {
+  return path.join(process.env.RUNNER_TEMP || os.tmpdir(), DEFAULT_REPORT_FILE);
+}
+
+/**
+ * Builds the apply report from everything recorded during the run
+ * @param {Object} flavor - Flavor configuration (may be null if parsing failed)
+ * @param {Object} result - Outcome of the run
+ * @param {string} result.status - 'success', 'dry-run' or 'failed'
+ * @param {string} [result.error] - Error message when the run failed
+ * @param {boolean} [result.rolledBack] - Whether file changes were rolled back
+ * @returns {Object} - Report object
+ */
+export function buildReport(flavor, result) {
+  const report = {
+    version: REPORT_VERSION,
+    status: result.status,
+    dry_run: isDryRun(),
+    generated_at: new Date().toISOString(),
+    flavor: {
+      id: flavor?.id ?? null,
+      name: flavor?.name ?? null,
+      app_name: flavor?.app_name ?? null,
+      package_name: flavor?.package_name ?? null
+    },
+    project: {
+      type: project.type,
+      app_module: project.appModule,
+      old_package: project.oldPackage,
+      new_package: project.newPackage
+    },
+    steps: getStepResults(),
+    files: summarizeFileOperations(getFileOperations()),
+    assets: assets.map(asset => ({
+      name: asset.name,
+      source_url: asset.url,
+      path: asset.path,
+      size: asset.size,
+      sha256: asset.sha256,
+      content_type: asset.contentType,
+      declared_content_type: asset.declaredContentType ?? null,
+      content_type_mismatch: asset.contentMismatch ?? null,
+      attempts: asset.attempts,
+      cache_hit: Boolean(asset.cacheHit),
+      integrity: asset.integrity,
+      integrity_problems: asset.integrityProblems,
+      target: asset.target ?? null,
+      converted_to_vector: Boolean(asset.convertedToVector),
+      extracted_files: asset.extractedFiles ?? null
+    })),
+    failed_assets: getAssetFailures(),
+    icons: getIcons(),
+    environment_variables: getExportedVariables(),
+    secret_variables: getSecretVariableCount()
+  };
+  
+  if (result.error) {
+    report.error = result.error;
+    report.rolled_back = Boolean(result.rolledBack);
+  }
+  
+  return report;
+}
+
+/**
+ * Writes the report as JSON. The report describes the tree rather than being
+ * part of it, so it bypasses the journaled file utilities.
+ * @param {string} reportPath - Destination file
+ * @param {Object} report - Report object from buildReport
+ * @returns {string} - Absolute path of the written report
+ */
+export function writeReport(reportPath, report) {
+  const absolutePath = path.resolve(reportPath);
+  fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+  fs.writeFileSync(absolutePath, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  return absolutePath;
+}
+
+/**
+ * Reduces the ordered file operations to the net change of every path
+ * @param {Object[]} operations - Operations from getFileOperations()
+ * @returns {{created: string[], modified: string[], moved: Array<{from: string, to: string}>, deleted: string[]}}
+ */
+export function summarizeFileOperations(operations) {
+  const states = new Map();
+  const moved = [];
+  
+  for (const operation of operations) {
+    const current = states.get(operation.path);
+    
+    switch (operation.type) {
+      case 'create':
+      case 'modify':
+      case 'copy':
+        if (!current) {
+          states.set(operation.path, operation.existed ? 'modified' : 'created');
+        } else if (current === 'deleted') {
+          states.set(operation.path, 'modified');
+        }
+        break;
+      case 'move':
+        // Edits made before the move are part of the moved file
+        if (states.get(operation.from) === 'created') {
+          states.set(operation.path, 'created');
+        } else {
+          moved.push({ from: operation.from, to: operation.path });
+          states.set(operation.path, 'moved');
+        }
+        states.delete(operation.from);
+        break;
+      case 'delete':
+        if (current === 'created') {
+          states.delete(operation.path);
+        } else {
+          states.set(operation.path, 'deleted');
+        }
+        break;
+      default:
+        // Directory operations are implied by the file changes
+        break;
+    }
+  }
+  
+  const filesIn = state => Array.from(states.entries())
+    .filter(([, value]) => value === state)
+    .map(([filePath]) => filePath);
+  
+  return {
+    created: filesIn('created'),
+    modified: filesIn('modified'),
+    moved,
+    deleted: filesIn('deleted')
+  };
+}
@@ -0,0 +1,86 @@
+import * as path from "path";
+import { listDirectory } from "./fileUtils.js";
+import { getResourcesDir } from "./configUtils.js";
+import { isReservedWord } from "./validationUtils.js";
+
+/**
+ * Android resource placement utilities: where an asset with a target is
+ * installed and which file names and types aapt accepts there
+ */
+
+// File types each target accepts; null accepts any file
+const TARGET_EXTENSIONS = {
+  drawable: ['.png', '.jpg', '.gif', '.webp', '.xml'],
+  raw: null,
+  font: ['.ttf', '.otf', '.xml'],
+  assets: null
+};
+
+/**
+ * Turns an asset name into a file name aapt accepts: lowercase letters, digits
+ * and underscores, starting with a letter, and not a Java or Kotlin keyword
+ * since it becomes a field of R
+ * @param {string} name - Asset name from the flavor
+ * @returns {string} - Resource name without extension
+ */
+export function toResourceName(name) {
+  let resourceName = name.toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+  if (!/^[a-z]/.test(resourceName)) {
+    resourceName = `asset_${resourceName}`;
+  }
+  if (isReservedWord(resourceName)) {
+    resourceName = `${resourceName}_`;
+  }
+  return resourceName;
+}
+
+/**
+ * Directory of an app module an asset target installs into
+ * @param {string} appModule - Path to the Android app module
+ * @param {string} target - drawable, raw, font or assets
+ * @returns {string}
+ */
+export function getTargetDirectory(appModule, target) {
+  const resourcesDir = getResourcesDir(appModule);
+  // src/main/assets sits next to src/main/res
+  return target === 'assets'
+    ? path.join(path.dirname(resourcesDir), 'assets')
+    : path.join(resourcesDir, target);
+}
+
+/**
+ * Lists why a file cannot be installed as a resource: a file type the target
+ * does not accept, or an existing resource with the same name but another
+ * extension, which aapt rejects as a duplicate
+ * @param {string} filePath - Path the asset would be written to
+ * @param {string} target - drawable, raw, font or assets
+ * @returns {string[]} - Conflicts found
+ */
+export function findResourceConflicts(filePath, target) {
+  const conflicts = [];
+  const fileName = path.basename(filePath);
+  const extension = getResourceExtension(fileName);
+  
+  const supportedExtensions = TARGET_EXTENSIONS[target];
+  if (supportedExtensions && !supportedExtensions.includes(extension)) {
+    conflicts.push(`${extension} files cannot be placed in ${target} (supported: ${supportedExtensions.join(', ')})`);
+  }
+  
+  // Files in src/main/assets are not resources, only the exact file name matters there
+  if (target !== 'assets') {
+    const resourceName = fileName.slice(0, fileName.length - extension.length);
+    const directory = path.dirname(filePath);
+    for (const entry of listDirectory(directory)) {
+      if (entry !== fileName && entry.slice(0, entry.length - getResourceExtension(entry).length) === resourceName) {
+        conflicts.push(`conflicts with the existing resource ${path.join(directory, entry)}`);
+      }
+    }
+  }
+  
+  return conflicts;
+}
+
+function getResourceExtension(fileName) {
+  // Nine-patch images keep their .9 as part of the extension
+  return fileName.endsWith('.9.png') ? '.9.png' : path.extname(fileName);
+}
@@ -0,0 +1,117 @@
+import * as fs from "fs";
+
+/**
+ * Content sniffing utilities: recognises a file type from its content, for
+ * servers that send application/octet-stream or the wrong Content-Type
+ */
+
+// Leading bytes of binary formats and the content type they identify
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', ascii: 'GIF87a' },
+  { type: 'image/gif', ascii: 'GIF89a' },
+  { type: 'application/pdf', ascii: '%PDF-' },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  // An empty archive only has its end of central directory record
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { type: 'font/ttf', bytes: [0x00, 0x01, 0x00, 0x00, 0x00] },
+  { type: 'font/ttf', ascii: 'true' },
+  { type: 'font/otf', ascii: 'OTTO' }
+];
+
+// Major brands of an ftyp box that are images rather than video. The generic
+// HEIF brands mif1/msf1 are AVIF when avif is among the compatible brands.
+const FTYP_IMAGE_BRANDS = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heic',
+  msf1: 'image/heic'
+};
+
+// How much of a text file is inspected for an <svg> root element
+const TEXT_SNIFF_LENGTH = 4096;
+// Files up to this size are read whole, so JSON can be recognised by parsing it
+const FILE_SNIFF_LENGTH = 1024 * 1024;
+const SVG_PATTERN = /^(?:<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|\s)*<svg[\s>/]/i;
+
+/**
+ * Detects the content type of a file from its first bytes
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} - Detected content type, null when unrecognised
+ */
+export function sniffContentType(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+  
+  for (const signature of SIGNATURES) {
+    const bytes = signature.bytes || Array.from(Buffer.from(signature.ascii, 'latin1'));
+    if (buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte)) {
+      return signature.type;
+    }
+  }
+  
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  // ISO base media files (MP4, M4V, MOV, AVIF, HEIC) start with an ftyp box naming their brand
+  if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+    return sniffFtypBrand(buffer);
+  }
+  
+  return sniffTextContentType(buffer);
+}
+
+/**
+ * Detects the content type of a file on disk. Only the start of a large file
+ * is read, so JSON is not recognised beyond the first megabyte.
+ * @param {string} filePath - File to inspect
+ * @returns {string|null} - Detected content type, null when unrecognised
+ */
+export function sniffFileContentType(filePath) {
+  const descriptor = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(Math.min(fs.fstatSync(descriptor).size, FILE_SNIFF_LENGTH));
+    const bytesRead = fs.readSync(descriptor, head, 0, head.length, 0);
+    return sniffContentType(head.subarray(0, bytesRead));
+  } finally {
+    fs.closeSync(descriptor);
+  }
+}
+
+function sniffFtypBrand(buffer) {
+  const majorBrand = buffer.toString('latin1', 8, 12);
+  if (majorBrand === 'mif1' || majorBrand === 'msf1') {
+    // Compatible brands follow the major brand and minor version, up to the end of the box
+    const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+    for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+      const brand = buffer.toString('latin1', offset, offset + 4);
+      if (brand === 'avif' || brand === 'avis') {
+        return 'image/avif';
+      }
+    }
+  }
+  return FTYP_IMAGE_BRANDS[majorBrand] || 'video/mp4';
+}
+
+function sniffTextContentType(buffer) {
+  // A UTF-8 byte order mark does not count as content
+  const start = buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf ? 3 : 0;
+  const head = buffer.toString('utf8', start, Math.min(buffer.length, start + TEXT_SNIFF_LENGTH));
+  
+  if (SVG_PATTERN.test(head)) {
+    return 'image/svg+xml';
+  }
+  if (/^\s*[{[]/.test(head)) {
+    try {
+      JSON.parse(buffer.toString('utf8', start));
+      return 'application/json';
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,215 @@
+import * as core from "../adapters/index.js";
+import * as fs from "fs";
+import * as path from "path";
+import {
+  readFileBuffer,
+  writeFileBuffer,
+  removeFile,
+  removeDirectory,
+  pathExists,
+  listDirectory,
+  ensureDirectoryExists,
+  getBaselineEntries
+} from './fileUtils.js';
+
+/**
+ * Applied-flavor state utilities. A successful apply stores the original
+ * content of every path it changed in .flavorflow/baseline/ and describes the
+ * run in .flavorflow/state.json, so a later run can revert the checkout to the
+ * baseline before applying another flavor.
+ */
+
+export const STATE_DIR = '.flavorflow';
+const STATE_FILE = 'state.json';
+const BASELINE_DIR = 'baseline';
+const STATE_VERSION = 1;
+
+/**
+ * Reads .flavorflow/state.json
+ * @returns {Object|null} - The recorded state, or null when no flavor is applied
+ */
+export function loadState() {
+  const statePath = path.join(STATE_DIR, STATE_FILE);
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+  
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${statePath}: ${error.message}`);
+  }
+  
+  if (state?.version !== STATE_VERSION || !Array.isArray(state.files)) {
+    throw new Error(`Unsupported ${statePath} (version ${state?.version}), delete ${STATE_DIR}/ and restore the checkout manually`);
+  }
+  return state;
+}
+
+/**
+ * Reverts the checkout to the baseline recorded in a state. Changes go through
+ * the journaled file utilities, so they are planned in dry-run mode and rolled
+ * back if the run fails.
+ * @param {Object} state - State from loadState()
+ * @returns {number} - Number of files restored or removed
+ */
+export function revertToBaseline(state) {
+  core.info(`↩️ Reverting flavor ${state.flavor?.name || state.flavor?.id || 'unknown'} to the baseline`);
+  checkStatePaths(state);
+  let reverted = 0;
+  
+  for (const file of state.files) {
+    if (file.baseline) {
+      const baselinePath = path.join(STATE_DIR, BASELINE_DIR, file.baseline);
+      if (!fs.existsSync(baselinePath)) {
+        throw new Error(`Failed to revert ${file.path}: baseline copy ${baselinePath} is missing`);
+      }
+      
+      const original = fs.readFileSync(baselinePath);
+      if (!pathExists(file.path) || !readFileBuffer(file.path).equals(original)) {
+        writeFileBuffer(file.path, original);
+        core.info(`✓ Restored ${file.path}`);
+        reverted++;
+      }
+    } else if (pathExists(file.path)) {
+      removeFile(file.path);
+      core.info(`✓ Removed ${file.path}`);
+      reverted++;
+    }
+  }
+  
+  // Deepest first so parents are empty by the time they are checked
+  const createdDirectories = (state.directories?.created || [])
+    .slice()
+    .sort((a, b) => b.split('/').length - a.split('/').length);
+  for (const directory of createdDirectories) {
+    if (pathExists(directory) && listDirectory(directory).length === 0) {
+      removeDirectory(directory);
+    }
+  }
+  for (const directory of state.directories?.removed || []) {
+    ensureDirectoryExists(directory);
+  }
+  
+  return reverted;
+}
+
+/**
+ * Persists the baseline of the current run and what it applied. When the run
+ * changed nothing, any previous state is removed instead.
+ * @param {Object} details - What was applied
+ * @param {Object} details.flavor - Flavor configuration
+ * @param {Object} details.project - Project details from getProject()
+ * @returns {string|null} - Path of the state file, or null when none was written
+ */
+export function saveState({ flavor, project }) {
+  const files = [];
+  const directories = { created: [], removed: [] };
+  const baselineFiles = [];
+  
+  for (const entry of getBaselineEntries()) {
+    const relativePath = path.relative(process.cwd(), entry.path).split(path.sep).join('/');
+    if (!isInsideWorkingDirectory(entry.path)) {
+      core.debug(`Not tracking ${entry.path} in ${STATE_DIR}, it is outside the working directory`);
+      continue;
+    }
+    
+    if (entry.kind === 'directory') {
+      directories[entry.created ? 'created' : 'removed'].push(relativePath);
+    } else if (entry.content === null) {
+      files.push({ path: relativePath, baseline: null });
+    } else {
+      // Baseline copies get flat numbered names, so a name never points outside the baseline directory
+      const baseline = String(baselineFiles.length + 1);
+      files.push({ path: relativePath, baseline });
+      baselineFiles.push({ baseline, content: entry.content });
+    }
+  }
+  
+  // The state directory describes the checkout rather than being part of it,
+  // so like the report it bypasses the journaled file utilities
+  if (files.length === 0 && directories.created.length === 0 && directories.removed.length === 0) {
+    clearState();
+    return null;
+  }
+  
+  // Build the new state next to the old one and swap, so a failed write never
+  // leaves a checkout without the baseline it needs
+  const stagingDir = `${STATE_DIR}.tmp`;
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+  
+  fs.mkdirSync(path.join(stagingDir, BASELINE_DIR), { recursive: true });
+  for (const { baseline, content } of baselineFiles) {
+    fs.writeFileSync(path.join(stagingDir, BASELINE_DIR, baseline), content);
+  }
+  
+  const state = {
+    version: STATE_VERSION,
+    applied_at: new Date().toISOString(),
+    flavor: {
+      id: flavor?.id ?? null,
+      name: flavor?.name ?? null
+    },
+    original: {
+      package: project.oldPackage ?? null,
+      app_name: project.oldAppName ?? null
+    },
+    applied: {
+      project_type: project.type ?? null,
+      package: project.newPackage ?? null,
+      app_name: flavor?.app_name ?? null,
+      theme_name: project.themeName ?? null
+    },
+    files,
+    directories
+  };
+  
+  fs.mkdirSync(stagingDir, { recursive: true });
+  fs.writeFileSync(path.join(stagingDir, STATE_FILE), JSON.stringify(state, null, 2) + '\n', 'utf8');
+  clearState();
+  fs.renameSync(stagingDir, STATE_DIR);
+  return path.join(STATE_DIR, STATE_FILE);
+}
+
+/**
+ * Checks every path of a state before anything is reverted. state.json is read
+ * from the checkout, so a crafted one must not write or delete files elsewhere.
+ * @param {Object} state - State from loadState()
+ */
+function checkStatePaths(state) {
+  const statePath = path.join(STATE_DIR, STATE_FILE);
+  for (const kind of ['created', 'removed']) {
+    if (state.directories?.[kind] !== undefined && !Array.isArray(state.directories[kind])) {
+      throw new Error(`Refusing to revert: directories.${kind} in ${statePath} is not a list`);
+    }
+  }
+  const paths = [
+    ...state.files.map(file => file?.path),
+    ...(state.directories?.created || []),
+    ...(state.directories?.removed || [])
+  ];
+  for (const entryPath of paths) {
+    if (typeof entryPath !== 'string' || entryPath === '' || !isInsideWorkingDirectory(entryPath)) {
+      throw new Error(`Refusing to revert: ${statePath} lists ${JSON.stringify(entryPath)}, which is not a path inside the working directory`);
+    }
+  }
+  
+  for (const file of state.files) {
+    if (file.baseline != null && (typeof file.baseline !== 'string' || !/^[^/\\]+$/.test(file.baseline) || file.baseline.includes('..'))) {
+      throw new Error(`Refusing to revert: ${statePath} lists baseline ${JSON.stringify(file.baseline)} for ${file.path}, which is not a file name`);
+    }
+  }
+}
+
+function isInsideWorkingDirectory(filePath) {
+  const relativePath = path.relative(process.cwd(), path.resolve(filePath));
+  return relativePath !== '' && relativePath !== '..' && !relativePath.startsWith(`..${path.sep}`) && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Removes the state directory once the checkout is back at its baseline
+ */
+export function clearState() {
+  fs.rmSync(STATE_DIR, { recursive: true, force: true });
+}
@@ -0,0 +1,125 @@
+/**
+ * Pipeline step selection and tracking utilities
+ */
+
+// Every step of the apply pipeline, in the order they run
+export const PIPELINE_STEPS = ['assets', 'variables', 'package', 'build-config', 'app-name', 'theme', 'icons', 'adaptive-icons'];
+
+// step -> { status: 'applied' | 'skipped' | 'failed', reason }
+const stepResults = new Map();
+let enabledSteps = new Set(PIPELINE_STEPS);
+// Step whose changes are being made, used to attribute file operations
+let currentStep = null;
+
+/**
+ * Parses a comma or newline separated list of step names
+ * @param {string} value - Raw input value
+ * @param {string} inputName - Input name used in error messages
+ * @returns {string[]} - Step names (empty when the input is blank)
+ */
+export function parseStepList(value, inputName) {
+  const steps = (value || '').split(/[\s,]+/).filter(Boolean);
+  const invalidSteps = steps.filter(step => !PIPELINE_STEPS.includes(step));
+  
+  if (invalidSteps.length > 0) {
+    throw new Error(`Invalid ${inputName}: ${invalidSteps.join(', ')}. Valid steps are: ${PIPELINE_STEPS.join(', ')}`);
+  }
+  
+  return steps;
+}
+
+/**
+ * Selects the steps to run and records why the others are skipped
+ * @param {Object} selection - Step selection
+ * @param {string[]} [selection.steps] - Steps to run (all when omitted or empty)
+ * @param {string[]} [selection.skipSteps] - Steps to skip
+ * @param {string} [selection.stepsSource] - Where the steps list came from, for skip reasons
+ * @param {string} [selection.skipStepsSource] - Where the skip list came from, for skip reasons
+ */
+export function configureSteps({ steps, skipSteps = [], stepsSource = 'steps', skipStepsSource = 'skip-steps' }) {
+  const selected = steps && steps.length > 0 ? steps : PIPELINE_STEPS;
+  enabledSteps = new Set(selected.filter(step => !skipSteps.includes(step)));
+  stepResults.clear();
+  currentStep = null;
+  
+  for (const step of PIPELINE_STEPS) {
+    if (!selected.includes(step)) {
+      skipStep(step, `not listed in ${stepsSource}`);
+    } else if (skipSteps.includes(step)) {
+      skipStep(step, `listed in ${skipStepsSource}`);
+    }
+  }
+}
+
+/**
+ * Checks whether a pipeline step should run
+ * @param {string} step - Step name from PIPELINE_STEPS
+ * @returns {boolean}
+ */
+export function isStepEnabled(step) {
+  return enabledSteps.has(step);
+}
+
+/**
+ * Returns the steps that will run, in pipeline order
+ * @returns {string[]}
+ */
+export function getEnabledSteps() {
+  return PIPELINE_STEPS.filter(step => enabledSteps.has(step));
+}
+
+/**
+ * Marks the step that is about to make changes
+ * @param {string} step - Step name
+ */
+export function startStep(step) {
+  currentStep = step;
+}
+
+/**
+ * Returns the step started last, or null before the first step
+ * @returns {string|null}
+ */
+export function getCurrentStep() {
+  return currentStep;
+}
+
+/**
+ * Records that a step made its changes
+ * @param {string} step - Step name
+ */
+export function completeStep(step) {
+  stepResults.set(step, { status: 'applied', reason: null });
+}
+
+/**
+ * Records that a step did not run and why. The first reason recorded wins,
+ * so a step disabled by the selection keeps that reason.
+ * @param {string} step - Step name
+ * @param {string} reason - Why the step was skipped
+ */
+export function skipStep(step, reason) {
+  if (!stepResults.has(step)) {
+    stepResults.set(step, { status: 'skipped', reason });
+  }
+}
+
+/**
+ * Records that a step ran but did not succeed
+ * @param {string} step - Step name
+ * @param {string} reason - What went wrong
+ */
+export function failStep(step, reason) {
+  stepResults.set(step, { status: 'failed', reason });
+}
+
+/**
+ * Returns the outcome of every pipeline step, in pipeline order
+ * @returns {Array<{name: string, status: string, reason: string|null}>}
+ */
+export function getStepResults() {
+  return PIPELINE_STEPS.map(name => ({
+    name,
+    ...(stepResults.get(name) || { status: 'skipped', reason: 'not reached' })
+  }));
+}
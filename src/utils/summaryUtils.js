@@ -0,0 +1,266 @@
+import * as core from "../adapters/index.js";
+import * as path from "path";
+import { getFileOperations } from './fileUtils.js';
+import { getExportedVariables, getSecretVariableCount } from './envUtils.js';
+import { getAssets, getAssetFailures, getIcons, getProject, summarizeFileOperations } from './reportUtils.js';
+import { PIPELINE_STEPS, getStepResults } from './stepUtils.js';
+
+/**
+ * Job summary utilities: renders the outcome of a run as Markdown
+ */
+
+const STATUS_LABELS = {
+  success: '✅ Applied',
+  'dry-run': '📝 Dry run',
+  reverted: '↩️ Reverted',
+  failed: '❌ Failed'
+};
+
+const STEP_STATUS_LABELS = {
+  applied: '✅ applied',
+  skipped: '⏭️ skipped',
+  failed: '⚠️ failed'
+};
+
+const INTEGRITY_LABELS = {
+  verified: '✅ verified',
+  mismatch: '⚠️ mismatch'
+};
+
+// Changes made outside a pipeline step, e.g. reverting a previously applied flavor
+const OTHER_CHANGES = 'other';
+
+/**
+ * Builds the job summary Markdown
+ * @param {Object} flavor - Flavor configuration (may be null if loading failed)
+ * @param {Object} result - Outcome of the run ({ status, error? })
+ * @returns {string} - Markdown document
+ */
+export function buildJobSummary(flavor, result) {
+  const flavorName = flavor?.name || flavor?.id || 'unknown flavor';
+  const lines = [
+    `## FlavorFlow: ${escapeMarkdown(flavorName)}`,
+    '',
+    `**Status:** ${STATUS_LABELS[result.status] || result.status}`
+  ];
+  
+  if (result.error) {
+    lines.push('', `> ${escapeMarkdown(result.error).replace(/\n/g, '\n> ')}`);
+  }
+  
+  lines.push(...renderIdentity(flavor));
+  
+  lines.push('', '### Steps', '', '| Step | Status | Reason |', '| --- | --- | --- |');
+  for (const step of getStepResults()) {
+    lines.push(`| ${step.name} | ${STEP_STATUS_LABELS[step.status] || step.status} | ${escapeMarkdown(step.reason || '')} |`);
+  }
+  
+  lines.push(...renderPalettes(flavor?.theme));
+  lines.push(...renderIcons(getIcons()));
+  lines.push(...renderAssets(getAssets(), getAssetFailures()));
+  lines.push(...renderVariables(getExportedVariables(), getSecretVariableCount()));
+  lines.push(...renderChangedFiles(getFileOperations()));
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes the job summary through the platform adapter. A summary failure never fails the run.
+ * @param {Object} flavor - Flavor configuration (may be null if loading failed)
+ * @param {Object} result - Outcome of the run ({ status, error? })
+ */
+export async function writeJobSummary(flavor, result) {
+  try {
+    await core.writeSummary(buildJobSummary(flavor, result));
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
+  }
+}
+
+function renderIdentity(flavor) {
+  const project = getProject();
+  const packageName = project.oldPackage && project.newPackage && project.oldPackage !== project.newPackage
+    ? `${project.oldPackage} → ${project.newPackage}`
+    : flavor?.package_name || project.newPackage;
+  
+  const rows = [
+    ['Flavor', flavor?.name],
+    ['Flavor ID', flavor?.id],
+    ['App name', flavor?.app_name],
+    ['Package', packageName],
+    ['Project type', project.type],
+    ['App module', project.appModule]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+  
+  if (rows.length === 0) {
+    return [];
+  }
+  return [
+    '',
+    '| | |',
+    '| --- | --- |',
+    ...rows.map(([label, value]) => `| **${label}** | ${escapeMarkdown(value)} |`)
+  ];
+}
+
+function renderPalettes(theme) {
+  const light = isPalette(theme?.light) ? theme.light : {};
+  const dark = isPalette(theme?.dark) ? theme.dark : {};
+  const colorNames = Array.from(new Set([...Object.keys(light), ...Object.keys(dark)]));
+  if (colorNames.length === 0) {
+    return [];
+  }
+  
+  const lines = ['', '### Theme', '', '| Colour | Light | Dark |', '| --- | --- | --- |'];
+  for (const colorName of colorNames) {
+    lines.push(`| ${escapeMarkdown(colorName)} | ${renderSwatch(light[colorName])} | ${renderSwatch(dark[colorName])} |`);
+  }
+  return lines;
+}
+
+function isPalette(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function renderSwatch(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  
+  // #RGB, #RRGGBB or Android's #AARRGGBB; the swatch ignores alpha
+  const match = String(value).match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (!match) {
+    return escapeMarkdown(value);
+  }
+  
+  let rgb = match[1].length === 8 ? match[1].slice(2) : match[1];
+  if (rgb.length === 3) {
+    rgb = rgb.split('').map(digit => digit + digit).join('');
+  }
+  return `$\\color{#${rgb.toUpperCase()}}{\\blacksquare}$ \`${value}\``;
+}
+
+function renderIcons(icons) {
+  if (icons.length === 0) {
+    return [];
+  }
+  
+  const densities = Array.from(new Set(icons.map(icon => icon.density)));
+  const iconFor = (kind, density) => icons.find(icon => icon.kind === kind && icon.density === density);
+  const describe = icon => {
+    if (!icon) {
+      return '';
+    }
+    if (icon.method === 'vector') {
+      return `vector (${icon.size}dp)`;
+    }
+    const size = `${icon.size}×${icon.size}`;
+    return icon.method === 'copied' ? `${size} (logo copied as-is)` : size;
+  };
+  
+  const lines = ['', '### Icons', '', '| Density | Launcher | Adaptive foreground |', '| --- | --- | --- |'];
+  for (const density of densities) {
+    lines.push(`| ${density} | ${describe(iconFor('launcher', density))} | ${describe(iconFor('foreground', density))} |`);
+  }
+  return lines;
+}
+
+function renderAssets(assets, failures) {
+  if (assets.length === 0 && failures.length === 0) {
+    return [];
+  }
+  
+  const lines = ['', '### Assets', '', '| Asset | File | Size | Content type | Attempts | Integrity |', '| --- | --- | --- | --- | --- | --- |'];
+  for (const asset of assets) {
+    // The server declared another type than the content turned out to be
+    const contentType = asset.contentMismatch
+      ? `⚠️ ${escapeMarkdown(asset.contentType || '')} (declared ${escapeMarkdown(asset.declaredContentType || 'none')})`
+      : escapeMarkdown(asset.contentType || '');
+    const file = asset.extractedFiles
+      ? `${escapeMarkdown(displayPath(asset.path))}/ (${asset.extractedFiles.length} extracted files)`
+      : escapeMarkdown(displayPath(asset.path));
+    lines.push(`| ${escapeMarkdown(asset.name)} | ${file} | ${formatSize(asset.size)} | ${contentType} | ${asset.attempts ?? ''} | ${INTEGRITY_LABELS[asset.integrity] || ''} |`);
+  }
+  for (const failure of failures) {
+    const label = failure.required ? '❌ required:' : '⚠️';
+    lines.push(`| ${escapeMarkdown(failure.name)} | ${label} ${escapeMarkdown(failure.error)} | | | ${failure.attempts} | |`);
+  }
+  return lines;
+}
+
+function renderVariables(variables, secretCount) {
+  if (variables.length === 0 && secretCount === 0) {
+    return [];
+  }
+  // Secret variables are only counted, their names can hint at what they hold
+  const names = variables.map(name => `\`${name}\``);
+  if (secretCount > 0) {
+    names.push(`${secretCount} secret variable${secretCount === 1 ? '' : 's'} (not listed)`);
+  }
+  return ['', '### Environment variables', '', names.join(', ')];
+}
+
+function renderChangedFiles(operations) {
+  // Attribute every path to the step that touched it last
+  const stepByPath = new Map();
+  for (const operation of operations) {
+    stepByPath.set(operation.path, operation.step || OTHER_CHANGES);
+  }
+  
+  const changes = summarizeFileOperations(operations);
+  const groups = new Map();
+  const addChange = (filePath, change, label) => {
+    const step = stepByPath.get(filePath) || OTHER_CHANGES;
+    if (!groups.has(step)) {
+      groups.set(step, []);
+    }
+    groups.get(step).push({ change, label });
+  };
+  changes.created.forEach(filePath => addChange(filePath, 'created', displayPath(filePath)));
+  changes.modified.forEach(filePath => addChange(filePath, 'modified', displayPath(filePath)));
+  changes.moved.forEach(({ from, to }) => addChange(to, 'moved', `${displayPath(from)} → ${displayPath(to)}`));
+  changes.deleted.forEach(filePath => addChange(filePath, 'deleted', displayPath(filePath)));
+  
+  if (groups.size === 0) {
+    return [];
+  }
+  
+  // Collapsed per step, so a package rename touching hundreds of files stays readable
+  const lines = ['', '### Changed files'];
+  for (const step of [...PIPELINE_STEPS, OTHER_CHANGES].filter(name => groups.has(name))) {
+    const rows = groups.get(step);
+    lines.push(
+      '',
+      `<details><summary><b>${step}</b>: ${rows.length} file${rows.length === 1 ? '' : 's'}</summary>`,
+      '',
+      '| Change | File |',
+      '| --- | --- |',
+      ...rows.map(({ change, label }) => `| ${change} | ${escapeMarkdown(label)} |`),
+      '',
+      '</details>'
+    );
+  }
+  return lines;
+}
+
+function displayPath(filePath) {
+  const relativePath = path.relative(process.cwd(), path.resolve(filePath));
+  return relativePath.startsWith('..') ? filePath : relativePath.split(path.sep).join('/');
+}
+
+function formatSize(bytes) {
+  if (typeof bytes !== 'number') {
+    return '';
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/[|\\`*_<>[\]]/g, character => `\\${character}`);
+}
@@ -0,0 +1,287 @@
+import * as core from "../adapters/index.js";
+import { getFlavorVariableName, isProtectedVariable, resolveVariableType, VARIABLE_TYPES } from "./envUtils.js";
+
+/**
+ * Flavor schema validation utilities
+ */
+
+export const VALIDATION_MODES = ['strict', 'warn'];
+// Android folders an asset can be installed into instead of assets-destination
+export const ASSET_TARGETS = ['drawable', 'raw', 'font', 'assets'];
+// Where flavor variables are written in the app module's defaultConfig
+export const GRADLE_VARIABLE_MODES = ['off', 'build-config', 'res-values', 'both'];
+
+// Hex colours as written to colors.xml and converted by hexToComposeColor
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+const PACKAGE_SEGMENT_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const SHA256_PATTERN = /^[0-9a-fA-F]{64}$/;
+const CONTENT_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+$/;
+// Keys of the object form of an asset or the logo
+const ASSET_SPEC_KEYS = ['url', 'sha256', 'size', 'content_type', 'required', 'target', 'extract', 'entry_variables'];
+// Keys of the object form of a variable
+const VARIABLE_SPEC_KEYS = ['value', 'secret', 'type'];
+
+// Java reserved words and literals plus Kotlin hard keywords; none of them can
+// be used as a package segment without escaping.
+const RESERVED_WORDS = new Set([
+  'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+  'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float',
+  'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native',
+  'new', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp',
+  'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'void',
+  'volatile', 'while', 'true', 'false', 'null',
+  'as', 'fun', 'in', 'is', 'object', 'typealias', 'typeof', 'val', 'var', 'when'
+]);
+
+const STRING_FIELDS = ['id', 'name', 'app_name', 'package_name'];
+
+/**
+ * Validates a flavor object and collects every problem found
+ * @param {Object} flavor - Flavor configuration
+ * @returns {Array<{path: string, message: string}>} - Problems with their JSON paths
+ */
+export function validateFlavor(flavor) {
+  const problems = [];
+  const report = (path, message) => problems.push({ path, message });
+  
+  if (!isPlainObject(flavor)) {
+    report('$', 'flavor must be a JSON object');
+    return problems;
+  }
+  
+  for (const field of STRING_FIELDS) {
+    if (flavor[field] !== undefined && flavor[field] !== null && typeof flavor[field] !== 'string') {
+      report(jsonPath('$', field), `must be a string, got ${describeType(flavor[field])}`);
+    }
+  }
+  
+  if (typeof flavor.package_name === 'string') {
+    validatePackageName(flavor.package_name, jsonPath('$', 'package_name'), report);
+  }
+  
+  if (flavor.logo_url !== undefined && flavor.logo_url !== null) {
+    validateAssetSpec(flavor.logo_url, jsonPath('$', 'logo_url'), report);
+  }
+  
+  if (flavor.theme !== undefined && flavor.theme !== null) {
+    validateTheme(flavor.theme, jsonPath('$', 'theme'), report);
+  }
+  
+  // Environment variable name -> JSON path of the variable or asset it is named after
+  const envNames = new Map();
+  
+  if (flavor.variables !== undefined && flavor.variables !== null) {
+    validateVariables(flavor.variables, jsonPath('$', 'variables'), report, envNames);
+  }
+  
+  if (flavor.assets !== undefined && flavor.assets !== null) {
+    validateAssets(flavor.assets, jsonPath('$', 'assets'), report, envNames);
+  }
+  
+  return problems;
+}
+
+/**
+ * Validates a flavor and either throws (strict) or logs warnings (warn)
+ * @param {Object} flavor - Flavor configuration
+ * @param {string} mode - 'strict' or 'warn'
+ * @param {Array<{path: string, message: string}>} [additionalProblems] - Problems found by the project type
+ * @returns {Array<{path: string, message: string}>} - Problems found
+ */
+export function enforceFlavorSchema(flavor, mode, additionalProblems = []) {
+  const problems = [...validateFlavor(flavor), ...additionalProblems];
+  if (problems.length === 0) {
+    core.info("✓ Flavor configuration is valid");
+    return problems;
+  }
+  
+  const details = problems.map(problem => `  ${problem.path}: ${problem.message}`).join('\n');
+  const summary = `Flavor configuration has ${problems.length} problem${problems.length === 1 ? '' : 's'}`;
+  
+  if (mode === 'strict') {
+    throw new Error(`${summary}:\n${details}`);
+  }
+  
+  core.warning(`${summary} (validation-mode: warn, continuing):\n${details}`);
+  return problems;
+}
+
+/**
+ * Tells whether a word is a Java or Kotlin keyword that cannot name a package segment or resource
+ * @param {string} word - Identifier to check
+ * @returns {boolean}
+ */
+export function isReservedWord(word) {
+  return RESERVED_WORDS.has(word);
+}
+
+function validatePackageName(packageName, path, report) {
+  const segments = packageName.split('.');
+  
+  if (segments.length < 2) {
+    report(path, `"${packageName}" must have at least two segments (e.g. com.example)`);
+  }
+  
+  segments.forEach((segment, index) => {
+    if (segment === '') {
+      report(path, `"${packageName}" has an empty segment at position ${index + 1}`);
+    } else if (/^[0-9]/.test(segment)) {
+      report(path, `segment "${segment}" must not start with a digit`);
+    } else if (!PACKAGE_SEGMENT_PATTERN.test(segment)) {
+      report(path, `segment "${segment}" must start with a letter and contain only letters, digits and underscores`);
+    } else if (RESERVED_WORDS.has(segment)) {
+      report(path, `segment "${segment}" is a reserved Java/Kotlin keyword`);
+    }
+  });
+}
+
+function validateTheme(theme, path, report) {
+  if (!isPlainObject(theme)) {
+    report(path, `must be an object, got ${describeType(theme)}`);
+    return;
+  }
+  
+  for (const mode of ['light', 'dark']) {
+    const palette = theme[mode];
+    const palettePath = jsonPath(path, mode);
+    
+    if (palette === undefined || palette === null) {
+      continue;
+    }
+    if (!isPlainObject(palette)) {
+      report(palettePath, `must be an object, got ${describeType(palette)}`);
+      continue;
+    }
+    
+    for (const [colorName, value] of Object.entries(palette)) {
+      if (typeof value !== 'string' || !HEX_COLOR_PATTERN.test(value)) {
+        report(jsonPath(palettePath, colorName), `must be a hex colour like #RRGGBB or #AARRGGBB, got ${JSON.stringify(value)}`);
+      }
+    }
+  }
+}
+
+function validateAssets(assets, path, report, envNames) {
+  if (!isPlainObject(assets)) {
+    report(path, `must be an object mapping asset names to URLs, got ${describeType(assets)}`);
+    return;
+  }
+  
+  for (const [assetName, asset] of Object.entries(assets)) {
+    const assetPath = jsonPath(path, assetName);
+    validateEnvName(assetName, assetPath, report, envNames);
+    validateAssetSpec(asset, assetPath, report);
+  }
+}
+
+function validateAssetSpec(asset, path, report) {
+  if (typeof asset === 'string') {
+    if (asset.trim() === '') {
+      report(path, 'must not be an empty URL');
+    }
+    return;
+  }
+  if (!isPlainObject(asset)) {
+    report(path, `must be a URL string or an object with url, sha256, size, content_type, required, target, extract and entry_variables, got ${describeType(asset)}`);
+    return;
+  }
+  
+  if (typeof asset.url !== 'string' || asset.url.trim() === '') {
+    report(jsonPath(path, 'url'), 'must be a non-empty URL string');
+  }
+  if (asset.sha256 !== undefined && (typeof asset.sha256 !== 'string' || !SHA256_PATTERN.test(asset.sha256))) {
+    report(jsonPath(path, 'sha256'), `must be 64 hex characters, got ${JSON.stringify(asset.sha256)}`);
+  }
+  if (asset.size !== undefined && (!Number.isInteger(asset.size) || asset.size < 0)) {
+    report(jsonPath(path, 'size'), `must be a size in bytes, got ${JSON.stringify(asset.size)}`);
+  }
+  if (asset.content_type !== undefined && (typeof asset.content_type !== 'string' || !CONTENT_TYPE_PATTERN.test(asset.content_type.split(';')[0].trim()))) {
+    report(jsonPath(path, 'content_type'), `must be a media type like image/png, got ${JSON.stringify(asset.content_type)}`);
+  }
+  for (const key of ['required', 'extract', 'entry_variables']) {
+    if (asset[key] !== undefined && typeof asset[key] !== 'boolean') {
+      report(jsonPath(path, key), `must be a boolean, got ${describeType(asset[key])}`);
+    }
+  }
+  if (asset.target !== undefined && !ASSET_TARGETS.includes(asset.target)) {
+    report(jsonPath(path, 'target'), `must be one of ${ASSET_TARGETS.join(', ')}, got ${JSON.stringify(asset.target)}`);
+  }
+  for (const key of Object.keys(asset)) {
+    if (!ASSET_SPEC_KEYS.includes(key)) {
+      report(jsonPath(path, key), `unknown key (supported: ${ASSET_SPEC_KEYS.join(', ')})`);
+    }
+  }
+}
+
+function validateVariables(variables, path, report, envNames) {
+  if (!isPlainObject(variables)) {
+    report(path, `must be an object mapping variable names to values, got ${describeType(variables)}`);
+    return;
+  }
+  
+  for (const [varName, value] of Object.entries(variables)) {
+    const varPath = jsonPath(path, varName);
+    validateEnvName(varName, varPath, report, envNames);
+    
+    if (isPlainObject(value)) {
+      validateVariableSpec(value, varPath, report);
+    } else if (value !== null && typeof value === 'object') {
+      report(varPath, `must be a string, number, boolean or an object with value, secret and type, got ${describeType(value)}`);
+    }
+  }
+}
+
+function validateVariableSpec(variable, path, report) {
+  if (variable.value === undefined || (variable.value !== null && typeof variable.value === 'object')) {
+    report(jsonPath(path, 'value'), `must be a string, number or boolean, got ${variable.value === undefined ? 'nothing' : describeType(variable.value)}`);
+  }
+  if (variable.secret !== undefined && typeof variable.secret !== 'boolean') {
+    report(jsonPath(path, 'secret'), `must be a boolean, got ${describeType(variable.secret)}`);
+  }
+  if (variable.type !== undefined) {
+    if (!VARIABLE_TYPES.includes(variable.type)) {
+      report(jsonPath(path, 'type'), `must be one of ${VARIABLE_TYPES.join(', ')}, got ${JSON.stringify(variable.type)}`);
+    } else if (variable.value !== undefined && (variable.value === null || typeof variable.value !== 'object')) {
+      try {
+        resolveVariableType(variable.value, variable.type);
+      } catch (error) {
+        report(jsonPath(path, 'value'), `${error.message}, as its type ${variable.type} requires`);
+      }
+    }
+  }
+  for (const key of Object.keys(variable)) {
+    if (!VARIABLE_SPEC_KEYS.includes(key)) {
+      report(jsonPath(path, key), `unknown key (supported: ${VARIABLE_SPEC_KEYS.join(', ')})`);
+    }
+  }
+}
+
+function validateEnvName(name, path, report, envNames) {
+  const envName = getFlavorVariableName(name);
+  if (!envName) {
+    report(path, `name "${name}" has no letters or digits to name an environment variable after`);
+    return;
+  }
+  if (isProtectedVariable(envName)) {
+    report(path, `name "${name}" produces the protected environment variable ${envName}, which is not set (use another name or a variable-prefix)`);
+  } else if (envNames.has(envName)) {
+    report(path, `name "${name}" produces the environment variable ${envName}, like ${envNames.get(envName)}; only the first one is set`);
+  } else {
+    envNames.set(envName, path);
+  }
+}
+
+function jsonPath(parent, key) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
@@ -0,0 +1,852 @@
+/**
+ * SVG to Android VectorDrawable conversion utilities. Supports paths, basic
+ * shapes, groups with transforms, fills, strokes, opacity, simple clip paths
+ * and linear/radial gradients; anything else is reported as a warning.
+ */
+
+const ANDROID_NAMESPACE = 'http://schemas.android.com/apk/res/android';
+const AAPT_NAMESPACE = 'http://schemas.android.com/aapt';
+const DEFAULT_SIZE = 24;
+
+// Presentation properties children inherit from their parent
+const INHERITED_PROPERTIES = [
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'visibility', 'color'
+];
+const STYLE_PROPERTIES = [...INHERITED_PROPERTIES, 'opacity', 'display', 'clip-path', 'stop-color', 'stop-opacity'];
+
+const SHAPE_ELEMENTS = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+// Definitions are read when referenced; metadata has no visual effect
+const IGNORED_ELEMENTS = ['defs', 'title', 'desc', 'metadata', 'linearGradient', 'radialGradient', 'clipPath', 'symbol'];
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', lime: '#00ff00', blue: '#0000ff',
+  yellow: '#ffff00', cyan: '#00ffff', aqua: '#00ffff', magenta: '#ff00ff', fuchsia: '#ff00ff',
+  silver: '#c0c0c0', gray: '#808080', grey: '#808080', maroon: '#800000', olive: '#808000',
+  green: '#008000', purple: '#800080', teal: '#008080', navy: '#000080', orange: '#ffa500'
+};
+
+// Lengths in user units (px) per unit
+const UNIT_SCALES = { '': 1, px: 1, pt: 4 / 3, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96 };
+
+const LINE_CAPS = { butt: 'butt', round: 'round', square: 'square' };
+const LINE_JOINS = { miter: 'miter', round: 'round', bevel: 'bevel' };
+const TILE_MODES = { pad: 'clamp', reflect: 'mirror', repeat: 'repeat' };
+
+/**
+ * Tells whether a file is an SVG image by its extension
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+export function isSvgFile(filePath) {
+  return /\.svg$/i.test(filePath || '');
+}
+
+/**
+ * Converts an SVG document to VectorDrawable XML
+ * @param {string} svg - SVG source
+ * @param {Object} [options]
+ * @param {number} [options.size] - Square size in dp the drawing is fitted into (e.g. 108 for an adaptive icon layer)
+ * @param {number} [options.padding] - Margin in dp kept around the drawing when size is set
+ * @returns {{xml: string, warnings: string[]}}
+ */
+export function convertSvgToVectorDrawable(svg, options = {}) {
+  const root = parseXml(svg);
+  if (!root || root.name !== 'svg') {
+    throw new Error('not an SVG document: the root element must be <svg>');
+  }
+  
+  const context = {
+    warnings: new Set(),
+    definitions: collectDefinitions(root, new Map()),
+    usesAapt: false,
+    viewport: null
+  };
+  
+  const viewBox = parseNumberList(root.attributes.viewBox);
+  // Percentages of the page say nothing about the drawing's own size
+  const rootLength = value => (value && !value.trim().endsWith('%') ? parseLength(value, context) : null);
+  let width = rootLength(root.attributes.width);
+  let height = rootLength(root.attributes.height);
+  const viewport = viewBox.length === 4
+    ? { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] }
+    : { x: 0, y: 0, width: width || DEFAULT_SIZE, height: height || DEFAULT_SIZE };
+  if (!(viewport.width > 0) || !(viewport.height > 0)) {
+    throw new Error('the SVG has an empty viewBox');
+  }
+  if (!width && !height && viewBox.length !== 4) {
+    context.warnings.add(`the SVG has no width, height or viewBox, assuming ${DEFAULT_SIZE}x${DEFAULT_SIZE}`);
+  }
+  width = width || (height ? height * viewport.width / viewport.height : viewport.width);
+  height = height || width * viewport.height / viewport.width;
+  context.viewport = viewport;
+  
+  const body = convertChildren(root, computeStyle(root, {}), 1, context);
+  
+  let vector;
+  if (options.size) {
+    // Fit the viewBox into the square, centred, keeping its aspect ratio
+    const padding = options.padding || 0;
+    const scale = Math.min((options.size - 2 * padding) / viewport.width, (options.size - 2 * padding) / viewport.height);
+    const group = {
+      scaleX: scale,
+      scaleY: scale,
+      translateX: (options.size - viewport.width * scale) / 2 - viewport.x * scale,
+      translateY: (options.size - viewport.height * scale) / 2 - viewport.y * scale
+    };
+    vector = {
+      width: options.size,
+      height: options.size,
+      viewportWidth: options.size,
+      viewportHeight: options.size,
+      body: wrapInGroup(group, body)
+    };
+  } else {
+    const offset = viewport.x !== 0 || viewport.y !== 0 ? { translateX: -viewport.x, translateY: -viewport.y } : null;
+    vector = {
+      width,
+      height,
+      viewportWidth: viewport.width,
+      viewportHeight: viewport.height,
+      body: offset ? wrapInGroup(offset, body) : body
+    };
+  }
+  
+  if (vector.body.length === 0) {
+    context.warnings.add('the SVG contains nothing that can be drawn');
+  }
+  
+  const attributes = [`xmlns:android="${ANDROID_NAMESPACE}"`];
+  if (context.usesAapt) {
+    attributes.push(`xmlns:aapt="${AAPT_NAMESPACE}"`);
+  }
+  attributes.push(
+    `android:width="${formatNumber(vector.width)}dp"`,
+    `android:height="${formatNumber(vector.height)}dp"`,
+    `android:viewportWidth="${formatNumber(vector.viewportWidth)}"`,
+    `android:viewportHeight="${formatNumber(vector.viewportHeight)}"`
+  );
+  
+  const xml = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<vector ${attributes.join('\n    ')}>`,
+    ...indentLines(vector.body),
+    '</vector>',
+    ''
+  ].join('\n');
+  
+  return { xml, warnings: Array.from(context.warnings) };
+}
+
+function convertChildren(element, style, opacity, context) {
+  const lines = [];
+  for (const child of element.children) {
+    lines.push(...convertElement(child, style, opacity, context));
+  }
+  return lines;
+}
+
+function convertElement(element, parentStyle, parentOpacity, context) {
+  if (element.foreign || IGNORED_ELEMENTS.includes(element.name)) {
+    return [];
+  }
+  if (element.name !== 'g' && element.name !== 'svg' && element.name !== 'a' && !SHAPE_ELEMENTS.includes(element.name)) {
+    context.warnings.add(`<${element.name}> elements are not supported and were skipped`);
+    return [];
+  }
+  
+  const style = computeStyle(element, parentStyle);
+  if (style.display === 'none') {
+    return [];
+  }
+  for (const attribute of ['mask', 'filter']) {
+    if (element.attributes[attribute] || element.style[attribute]) {
+      context.warnings.add(`${attribute} is not supported and was ignored`);
+    }
+  }
+  
+  const opacity = parentOpacity * clamp(parseNumber(style.opacity, 1));
+  let lines;
+  if (SHAPE_ELEMENTS.includes(element.name)) {
+    lines = convertShape(element, style, opacity, context) || [];
+  } else {
+    if (element.name === 'svg') {
+      context.warnings.add('nested <svg> elements are drawn without their own viewport');
+    }
+    lines = convertChildren(element, style, opacity, context);
+  }
+  if (lines.length === 0) {
+    return [];
+  }
+  
+  // The clip path applies in the element's own coordinates, so it sits inside its transform
+  if (style['clip-path'] && style['clip-path'] !== 'none') {
+    const clipPathData = resolveClipPath(style['clip-path'], context);
+    if (clipPathData) {
+      lines = [
+        '<group>',
+        `    <clip-path android:pathData="${escapeAttribute(clipPathData)}"/>`,
+        ...indentLines(lines),
+        '</group>'
+      ];
+    }
+  }
+  
+  // The first transform of the list is the outermost group
+  const groups = parseTransform(element.attributes.transform, context);
+  for (let i = groups.length - 1; i >= 0; i--) {
+    lines = wrapInGroup(groups[i], lines);
+  }
+  return lines;
+}
+
+function convertShape(element, style, opacity, context) {
+  const pathData = getShapePathData(element, context);
+  if (!pathData) {
+    return null;
+  }
+  if (style.visibility === 'hidden' || style.visibility === 'collapse') {
+    return null;
+  }
+  
+  const attributes = [['android:pathData', pathData]];
+  const children = [];
+  
+  const fill = resolvePaint(style.fill ?? 'black', style, context);
+  if (fill) {
+    const fillAlpha = opacity * clamp(parseNumber(style['fill-opacity'], 1));
+    if (fill.gradient) {
+      children.push(...renderGradient('android:fillColor', fill.gradient, element, pathData, context));
+    } else {
+      attributes.push(['android:fillColor', formatColor(fill.color)]);
+    }
+    if (fillAlpha < 1) {
+      attributes.push(['android:fillAlpha', formatNumber(fillAlpha)]);
+    }
+    if (style['fill-rule'] === 'evenodd') {
+      attributes.push(['android:fillType', 'evenOdd']);
+    }
+  }
+  
+  const stroke = style.stroke ? resolvePaint(style.stroke, style, context) : null;
+  if (stroke) {
+    const strokeAlpha = opacity * clamp(parseNumber(style['stroke-opacity'], 1));
+    if (stroke.gradient) {
+      children.push(...renderGradient('android:strokeColor', stroke.gradient, element, pathData, context));
+    } else {
+      attributes.push(['android:strokeColor', formatColor(stroke.color)]);
+    }
+    attributes.push(['android:strokeWidth', formatNumber(parseLength(style['stroke-width'], context) ?? 1)]);
+    if (strokeAlpha < 1) {
+      attributes.push(['android:strokeAlpha', formatNumber(strokeAlpha)]);
+    }
+    if (LINE_CAPS[style['stroke-linecap']] && style['stroke-linecap'] !== 'butt') {
+      attributes.push(['android:strokeLineCap', LINE_CAPS[style['stroke-linecap']]]);
+    }
+    if (LINE_JOINS[style['stroke-linejoin']] && style['stroke-linejoin'] !== 'miter') {
+      attributes.push(['android:strokeLineJoin', LINE_JOINS[style['stroke-linejoin']]]);
+    }
+    if (style['stroke-miterlimit'] !== undefined) {
+      attributes.push(['android:strokeMiterLimit', formatNumber(parseNumber(style['stroke-miterlimit'], 4))]);
+    }
+    if (element.attributes['stroke-dasharray'] || element.style['stroke-dasharray']) {
+      context.warnings.add('stroke-dasharray is not supported, dashed strokes are drawn solid');
+    }
+  }
+  
+  if (!fill && !stroke) {
+    return null;
+  }
+  
+  const attributeLines = attributes.map(([name, value]) => `    ${name}="${escapeAttribute(value)}"`);
+  if (children.length === 0) {
+    return ['<path', ...attributeLines.slice(0, -1), `${attributeLines[attributeLines.length - 1]}/>`];
+  }
+  return [
+    '<path',
+    ...attributeLines.slice(0, -1),
+    `${attributeLines[attributeLines.length - 1]}>`,
+    ...indentLines(children),
+    '</path>'
+  ];
+}
+
+function getShapePathData(element, context) {
+  const attributes = element.attributes;
+  const length = name => parseLength(attributes[name], context) ?? 0;
+  
+  switch (element.name) {
+    case 'path':
+      return (attributes.d || '').trim().replace(/\s+/g, ' ') || null;
+    case 'rect': {
+      const x = length('x');
+      const y = length('y');
+      const width = length('width');
+      const height = length('height');
+      if (width <= 0 || height <= 0) {
+        return null;
+      }
+      let rx = parseLength(attributes.rx, context);
+      let ry = parseLength(attributes.ry, context);
+      rx = Math.min(rx ?? ry ?? 0, width / 2);
+      ry = Math.min(ry ?? rx, height / 2);
+      if (rx <= 0 || ry <= 0) {
+        return `M${formatPoint(x, y)} H${formatNumber(x + width)} V${formatNumber(y + height)} H${formatNumber(x)} Z`;
+      }
+      const arc = (endX, endY) => `A${formatPoint(rx, ry)} 0 0 1 ${formatPoint(endX, endY)}`;
+      return [
+        `M${formatPoint(x + rx, y)}`,
+        `H${formatNumber(x + width - rx)}`, arc(x + width, y + ry),
+        `V${formatNumber(y + height - ry)}`, arc(x + width - rx, y + height),
+        `H${formatNumber(x + rx)}`, arc(x, y + height - ry),
+        `V${formatNumber(y + ry)}`, arc(x + rx, y),
+        'Z'
+      ].join(' ');
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = length('cx');
+      const cy = length('cy');
+      const rx = element.name === 'circle' ? length('r') : length('rx');
+      const ry = element.name === 'circle' ? rx : length('ry');
+      if (rx <= 0 || ry <= 0) {
+        return null;
+      }
+      return `M${formatPoint(cx - rx, cy)} A${formatPoint(rx, ry)} 0 1 0 ${formatPoint(cx + rx, cy)} A${formatPoint(rx, ry)} 0 1 0 ${formatPoint(cx - rx, cy)} Z`;
+    }
+    case 'line':
+      return `M${formatPoint(length('x1'), length('y1'))} L${formatPoint(length('x2'), length('y2'))}`;
+    case 'polyline':
+    case 'polygon': {
+      const points = parseNumberList(attributes.points);
+      if (points.length < 4) {
+        return null;
+      }
+      const pairs = [];
+      for (let i = 0; i + 1 < points.length; i += 2) {
+        pairs.push(formatPoint(points[i], points[i + 1]));
+      }
+      return `M${pairs[0]} L${pairs.slice(1).join(' ')}${element.name === 'polygon' ? ' Z' : ''}`;
+    }
+    default:
+      return null;
+  }
+}
+
+function resolvePaint(value, style, context) {
+  const paint = value.trim();
+  if (paint === 'none' || paint === 'transparent') {
+    return null;
+  }
+  
+  const reference = /^url\(\s*['"]?#([^'")]+)['"]?\s*\)/.exec(paint);
+  if (reference) {
+    const definition = context.definitions.get(reference[1]);
+    if (definition && (definition.name === 'linearGradient' || definition.name === 'radialGradient')) {
+      return { gradient: definition };
+    }
+    context.warnings.add(`paint url(#${reference[1]}) is not a gradient and was ignored`);
+    // A fallback colour may follow the reference
+    const fallback = paint.slice(reference[0].length).trim();
+    return fallback ? resolvePaint(fallback, style, context) : null;
+  }
+  
+  const color = parseColor(paint === 'currentColor' ? (style.color || 'black') : paint, context);
+  return color ? { color } : null;
+}
+
+function renderGradient(attributeName, gradient, element, pathData, context) {
+  context.usesAapt = true;
+  const attributes = resolveGradientAttributes(gradient, context);
+  const stops = resolveGradientStops(gradient, context);
+  
+  if (attributes.gradientTransform) {
+    context.warnings.add('gradientTransform is not supported and was ignored');
+  }
+  
+  // objectBoundingBox coordinates are fractions of the shape's bounds
+  const userSpace = attributes.gradientUnits === 'userSpaceOnUse';
+  const bounds = userSpace ? null : getShapeBounds(element, pathData, context);
+  if (!userSpace && !bounds) {
+    context.warnings.add(`gradient #${gradient.attributes.id} could not be placed on an empty shape`);
+  }
+  const toX = (value, fallback) => resolveGradientCoordinate(value, fallback, userSpace, bounds, 'x', context);
+  const toY = (value, fallback) => resolveGradientCoordinate(value, fallback, userSpace, bounds, 'y', context);
+  
+  const gradientAttributes = [];
+  if (gradient.name === 'linearGradient') {
+    gradientAttributes.push(
+      ['android:type', 'linear'],
+      ['android:startX', toX(attributes.x1, '0%')],
+      ['android:startY', toY(attributes.y1, '0%')],
+      ['android:endX', toX(attributes.x2, '100%')],
+      ['android:endY', toY(attributes.y2, '0%')]
+    );
+  } else {
+    if (attributes.fx !== undefined || attributes.fy !== undefined) {
+      context.warnings.add('radial gradient focal points (fx, fy) are not supported and were ignored');
+    }
+    const radius = resolveGradientRadius(attributes.r, userSpace, bounds, context);
+    gradientAttributes.push(
+      ['android:type', 'radial'],
+      ['android:centerX', toX(attributes.cx, '50%')],
+      ['android:centerY', toY(attributes.cy, '50%')],
+      ['android:gradientRadius', radius]
+    );
+  }
+  if (TILE_MODES[attributes.spreadMethod] && attributes.spreadMethod !== 'pad') {
+    gradientAttributes.push(['android:tileMode', TILE_MODES[attributes.spreadMethod]]);
+  }
+  
+  return [
+    `<aapt:attr name="${attributeName}">`,
+    '    <gradient',
+    ...gradientAttributes.map(([name, value], index) =>
+      `        ${name}="${value}"${index === gradientAttributes.length - 1 ? '>' : ''}`),
+    ...stops.map(stop =>
+      `        <item android:offset="${formatNumber(stop.offset)}" android:color="${formatColor(stop.color)}"/>`),
+    '    </gradient>',
+    '</aapt:attr>'
+  ];
+}
+
+function resolveGradientAttributes(gradient, context, seen = new Set()) {
+  // href/xlink:href inherit the attributes the gradient does not set itself
+  seen.add(gradient);
+  const inherited = getHrefTarget(gradient, context, seen);
+  const base = inherited ? resolveGradientAttributes(inherited, context, seen) : {};
+  return { ...base, ...gradient.attributes };
+}
+
+function resolveGradientStops(gradient, context, seen = new Set()) {
+  seen.add(gradient);
+  const stops = gradient.children.filter(child => child.name === 'stop');
+  if (stops.length === 0) {
+    const inherited = getHrefTarget(gradient, context, seen);
+    return inherited ? resolveGradientStops(inherited, context, seen) : [];
+  }
+  
+  let previousOffset = 0;
+  return stops.map(stop => {
+    const style = computeStyle(stop, {});
+    const offsetValue = stop.attributes.offset || '0';
+    const offset = offsetValue.trim().endsWith('%') ? parseFloat(offsetValue) / 100 : parseNumber(offsetValue, 0);
+    // Offsets never decrease, as in SVG
+    previousOffset = Math.max(previousOffset, clamp(offset));
+    const color = parseColor(style['stop-color'] || 'black', context) || { r: 0, g: 0, b: 0, a: 0 };
+    return { offset: previousOffset, color: { ...color, a: color.a * clamp(parseNumber(style['stop-opacity'], 1)) } };
+  });
+}
+
+function getHrefTarget(element, context, seen) {
+  const href = element.attributes.href || element.attributes['xlink:href'];
+  if (!href || !href.startsWith('#')) {
+    return null;
+  }
+  const target = context.definitions.get(href.slice(1));
+  return target && !seen.has(target) ? target : null;
+}
+
+function resolveGradientCoordinate(value, fallback, userSpace, bounds, axis, context) {
+  const raw = (value ?? fallback).trim();
+  const isPercent = raw.endsWith('%');
+  const number = parseFloat(raw) || 0;
+  
+  if (userSpace) {
+    const extent = axis === 'x' ? context.viewport.width : context.viewport.height;
+    return formatNumber(isPercent ? number / 100 * extent : number);
+  }
+  if (!bounds) {
+    return '0';
+  }
+  const fraction = isPercent ? number / 100 : number;
+  return axis === 'x'
+    ? formatNumber(bounds.minX + fraction * (bounds.maxX - bounds.minX))
+    : formatNumber(bounds.minY + fraction * (bounds.maxY - bounds.minY));
+}
+
+function resolveGradientRadius(value, userSpace, bounds, context) {
+  const raw = (value ?? '50%').trim();
+  const isPercent = raw.endsWith('%');
+  const number = parseFloat(raw) || 0;
+  
+  if (userSpace) {
+    // Percentages of r refer to the normalised diagonal of the viewport
+    const diagonal = Math.hypot(context.viewport.width, context.viewport.height) / Math.SQRT2;
+    return formatNumber(isPercent ? number / 100 * diagonal : number);
+  }
+  if (!bounds) {
+    return '0';
+  }
+  const width = bounds.maxX - bounds.minX;
+  const height = bounds.maxY - bounds.minY;
+  if (Math.abs(width - height) > 1e-6) {
+    context.warnings.add('radial gradients on non-square shapes are drawn circular');
+  }
+  return formatNumber((isPercent ? number / 100 : number) * Math.max(width, height));
+}
+
+function resolveClipPath(value, context) {
+  const reference = /^url\(\s*['"]?#([^'")]+)['"]?\s*\)$/.exec(value.trim());
+  const clipPath = reference ? context.definitions.get(reference[1]) : null;
+  if (!clipPath || clipPath.name !== 'clipPath') {
+    context.warnings.add(`clip-path ${value} does not reference a <clipPath> and was ignored`);
+    return null;
+  }
+  if (clipPath.attributes.clipPathUnits === 'objectBoundingBox') {
+    context.warnings.add('clipPathUnits="objectBoundingBox" is not supported, the clip path was ignored');
+    return null;
+  }
+  
+  const pathData = [];
+  for (const child of clipPath.children) {
+    if (!SHAPE_ELEMENTS.includes(child.name)) {
+      continue;
+    }
+    if (child.attributes.transform) {
+      context.warnings.add('transforms inside a <clipPath> are not supported and were ignored');
+    }
+    const data = getShapePathData(child, context);
+    if (data) {
+      pathData.push(data);
+    }
+  }
+  return pathData.length > 0 ? pathData.join(' ') : null;
+}
+
+/**
+ * Splits an SVG transform list into VectorDrawable group attributes, outermost first
+ */
+function parseTransform(value, context) {
+  if (!value) {
+    return [];
+  }
+  
+  const groups = [];
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    const [, type, argumentText] = match;
+    const args = parseNumberList(argumentText);
+    switch (type) {
+      case 'translate':
+        groups.push({ translateX: args[0] || 0, translateY: args[1] || 0 });
+        break;
+      case 'scale':
+        groups.push({ scaleX: args[0] ?? 1, scaleY: args[1] ?? args[0] ?? 1 });
+        break;
+      case 'rotate':
+        groups.push({ rotation: args[0] || 0, pivotX: args[1] || 0, pivotY: args[2] || 0 });
+        break;
+      case 'matrix': {
+        // A group applies scale, then rotation, then translation
+        const [a = 1, b = 0, c = 0, d = 1, e = 0, f = 0] = args;
+        const scaleX = Math.hypot(a, b);
+        const scaleY = scaleX === 0 ? 0 : (a * d - b * c) / scaleX;
+        if (scaleX !== 0 && Math.abs(a * c + b * d) > 1e-6) {
+          context.warnings.add('skewed transforms are not supported, the skew was ignored');
+        }
+        groups.push({
+          translateX: e,
+          translateY: f,
+          rotation: Math.atan2(b, a) * 180 / Math.PI,
+          scaleX,
+          scaleY
+        });
+        break;
+      }
+      default:
+        context.warnings.add(`${type} transforms are not supported and were ignored`);
+    }
+  }
+  return groups;
+}
+
+function wrapInGroup(group, lines) {
+  // Identity values are the defaults and left out
+  const attributes = Object.entries(group)
+    .filter(([name, value]) => value !== (name.startsWith('scale') ? 1 : 0))
+    .map(([name, value]) => `android:${name}="${formatNumber(value)}"`);
+  if (attributes.length === 0) {
+    return lines;
+  }
+  return [`<group ${attributes.join(' ')}>`, ...indentLines(lines), '</group>'];
+}
+
+function getShapeBounds(element, pathData, context) {
+  const length = name => parseLength(element.attributes[name], context) ?? 0;
+  if (element.name === 'circle' || element.name === 'ellipse') {
+    const rx = element.name === 'circle' ? length('r') : length('rx');
+    const ry = element.name === 'circle' ? rx : length('ry');
+    return { minX: length('cx') - rx, minY: length('cy') - ry, maxX: length('cx') + rx, maxY: length('cy') + ry };
+  }
+  if (element.name === 'rect') {
+    return { minX: length('x'), minY: length('y'), maxX: length('x') + length('width'), maxY: length('y') + length('height') };
+  }
+  return getPathBounds(pathData);
+}
+
+/**
+ * Approximate bounds of path data from its end and control points; arcs only
+ * contribute their end points
+ */
+function getPathBounds(pathData) {
+  const tokens = pathData.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const add = (x, y) => {
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.minY = Math.min(bounds.minY, y);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.maxY = Math.max(bounds.maxY, y);
+  };
+  const argumentCounts = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+  
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let command = null;
+  let index = 0;
+  while (index < tokens.length) {
+    if (/[a-z]/i.test(tokens[index])) {
+      command = tokens[index++];
+    } else if (!command) {
+      return null;
+    }
+    const lower = command.toLowerCase();
+    const relative = command === lower;
+    if (lower === 'z') {
+      x = startX;
+      y = startY;
+      command = null;
+      continue;
+    }
+    const args = tokens.slice(index, index + argumentCounts[lower]).map(Number);
+    if (args.length < argumentCounts[lower] || args.some(Number.isNaN)) {
+      break;
+    }
+    index += argumentCounts[lower];
+    
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+    if (lower === 'h') {
+      x = ox + args[0];
+    } else if (lower === 'v') {
+      y = oy + args[0];
+    } else if (lower === 'a') {
+      x = ox + args[5];
+      y = oy + args[6];
+    } else {
+      for (let i = 0; i < args.length - 2; i += 2) {
+        add(ox + args[i], oy + args[i + 1]);
+      }
+      x = ox + args[args.length - 2];
+      y = oy + args[args.length - 1];
+    }
+    add(x, y);
+    
+    if (lower === 'm') {
+      startX = x;
+      startY = y;
+      // Pairs after a moveto are implicit linetos
+      command = relative ? 'l' : 'L';
+    }
+  }
+  
+  return bounds.minX <= bounds.maxX && bounds.minY <= bounds.maxY ? bounds : null;
+}
+
+function computeStyle(element, parentStyle) {
+  const style = {};
+  for (const property of INHERITED_PROPERTIES) {
+    if (parentStyle[property] !== undefined) {
+      style[property] = parentStyle[property];
+    }
+  }
+  for (const property of STYLE_PROPERTIES) {
+    if (element.attributes[property] !== undefined) {
+      style[property] = element.attributes[property].trim();
+    }
+  }
+  // Inline style wins over presentation attributes
+  Object.assign(style, element.style);
+  for (const [property, value] of Object.entries(style)) {
+    if (value === 'inherit') {
+      style[property] = parentStyle[property];
+    }
+  }
+  return style;
+}
+
+function collectDefinitions(element, definitions) {
+  if (element.attributes.id && !definitions.has(element.attributes.id)) {
+    definitions.set(element.attributes.id, element);
+  }
+  element.children.forEach(child => collectDefinitions(child, definitions));
+  return definitions;
+}
+
+function parseColor(value, context) {
+  const color = value.trim().toLowerCase();
+  const hex = NAMED_COLORS[color] || color;
+  
+  let match = /^#([0-9a-f]{3,4})$/.exec(hex);
+  if (match) {
+    const digits = match[1].split('').map(digit => parseInt(digit + digit, 16));
+    return { r: digits[0], g: digits[1], b: digits[2], a: digits.length === 4 ? digits[3] / 255 : 1 };
+  }
+  match = /^#([0-9a-f]{6})([0-9a-f]{2})?$/.exec(hex);
+  if (match) {
+    const value = parseInt(match[1], 16);
+    return { r: value >> 16, g: (value >> 8) & 255, b: value & 255, a: match[2] ? parseInt(match[2], 16) / 255 : 1 };
+  }
+  match = /^rgba?\(([^)]*)\)$/.exec(color);
+  if (match) {
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean);
+    const channel = part => clamp(part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part) / 255) * 255;
+    const alpha = parts[3] === undefined ? 1 : clamp(parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]));
+    return { r: Math.round(channel(parts[0])), g: Math.round(channel(parts[1])), b: Math.round(channel(parts[2])), a: alpha };
+  }
+  
+  context.warnings.add(`colour ${value} is not supported and was drawn transparent`);
+  return null;
+}
+
+function formatColor(color) {
+  const hex = component => Math.round(component).toString(16).padStart(2, '0').toUpperCase();
+  const alpha = color.a < 1 ? hex(color.a * 255) : '';
+  return `#${alpha}${hex(color.r)}${hex(color.g)}${hex(color.b)}`;
+}
+
+function parseLength(value, context) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*([a-z%]*)\s*$/i.exec(value);
+  if (!match) {
+    return null;
+  }
+  const number = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit in UNIT_SCALES) {
+    return number * UNIT_SCALES[unit];
+  }
+  if (unit === '%' && context.viewport) {
+    return number / 100 * Math.hypot(context.viewport.width, context.viewport.height) / Math.SQRT2;
+  }
+  context.warnings.add(`length ${value} uses an unsupported unit and was read as ${number}`);
+  return number;
+}
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function parseNumberList(value) {
+  return (value || '').match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g)?.map(Number) || [];
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 10000) / 10000 || 0);
+}
+
+function formatPoint(x, y) {
+  return `${formatNumber(x)},${formatNumber(y)}`;
+}
+
+function indentLines(lines) {
+  return lines.map(line => `    ${line}`);
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Minimal XML parser for SVG documents: elements, attributes and inline styles.
+ * Text, comments, processing instructions and doctypes are skipped.
+ * @param {string} source - XML source
+ * @returns {Object|null} - Root element ({ name, attributes, style, children, foreign })
+ */
+function parseXml(source) {
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const stack = [];
+  let root = null;
+  let match;
+  
+  while ((match = tokenPattern.exec(source)) !== null) {
+    const [, closingName, openingName, attributeText, selfClosing] = match;
+    if (closingName) {
+      const element = stack.pop();
+      if (!element || element.qualifiedName !== closingName) {
+        throw new Error(`malformed SVG: unexpected </${closingName}>`);
+      }
+      continue;
+    }
+    if (!openingName) {
+      continue;
+    }
+    
+    const attributes = {};
+    let attribute;
+    while ((attribute = attributePattern.exec(attributeText)) !== null) {
+      attributes[attribute[1]] = decodeEntities(attribute[2] ?? attribute[3]);
+    }
+    const [prefix, localName] = openingName.includes(':') ? openingName.split(':') : [null, openingName];
+    const element = {
+      name: localName,
+      qualifiedName: openingName,
+      // Elements of editor namespaces (sodipodi:, inkscape:) have no visual effect
+      foreign: prefix !== null && prefix !== 'svg',
+      attributes,
+      style: parseStyleAttribute(attributes.style),
+      children: []
+    };
+    
+    if (stack.length > 0) {
+      stack[stack.length - 1].children.push(element);
+    } else if (!root) {
+      root = element;
+    }
+    if (!selfClosing) {
+      stack.push(element);
+    }
+  }
+  
+  if (stack.length > 0) {
+    throw new Error(`malformed SVG: <${stack[stack.length - 1].qualifiedName}> is never closed`);
+  }
+  return root;
+}
+
+function parseStyleAttribute(value) {
+  const style = {};
+  for (const declaration of (value || '').split(';')) {
+    const separator = declaration.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+    const property = declaration.slice(0, separator).trim().toLowerCase();
+    const propertyValue = declaration.slice(separator + 1).replace(/!important/i, '').trim();
+    if (property && propertyValue) {
+      style[property] = propertyValue;
+    }
+  }
+  return style;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, name) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()];
+    if (named) {
+      return named;
+    }
+    return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+  });
+}